@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+// Check that the stdio gateway answers malformed input instead of crashing.
+//
+// Feeds the gateway lines a misbehaving MCP client could send (invalid JSON,
+// JSON that isn't a request object, method names inherited from
+// Object.prototype) and checks each gets the right JSON-RPC error while the
+// gateway keeps answering. Needs no running hub.
+
+import { spawn } from 'child_process';
+import readline from 'readline';
+import { fileURLToPath } from 'url';
+
+const gatewayPath = fileURLToPath(new URL('../src/gateway-stdio.js', import.meta.url));
+
+// [line sent, expected reply id, expected error code]
+const cases = [
+  ['{not json', null, -32700],
+  ['null', null, -32600],
+  ['42', null, -32600],
+  ['"ping"', null, -32600],
+  ['[1, 2]', null, -32600],
+  ...['valueOf', 'toString', 'hasOwnProperty', 'constructor', '__proto__'].map((method, index) =>
+    [JSON.stringify({ jsonrpc: '2.0', id: `proto-${index}`, method }), `proto-${index}`, -32601])
+];
+
+let failures = 0;
+
+function check(ok, message) {
+  console.log(`${ok ? '✅' : '❌'} ${message}`);
+  if (!ok) failures++;
+}
+
+// Nothing listens on this port, so the gateway never reaches a hub
+const gateway = spawn(process.execPath, [gatewayPath], {
+  env: { ...process.env, SERVER_URL: 'ws://127.0.0.1:9', LOG_LEVEL: 'error' },
+  stdio: ['pipe', 'pipe', 'ignore']
+});
+
+const replies = [];
+readline.createInterface({ input: gateway.stdout }).on('line', line => {
+  replies.push(JSON.parse(line));
+  // Lines are answered in order, so the ping comes last
+  if (replies.at(-1).id === 'still-alive') finish();
+});
+
+cases.forEach(([line]) => gateway.stdin.write(line + '\n'));
+gateway.stdin.write(JSON.stringify({ jsonrpc: '2.0', id: 'still-alive', method: 'ping' }) + '\n');
+
+const timer = setTimeout(finish, 3000);
+gateway.on('exit', finish);
+
+function finish() {
+  clearTimeout(timer);
+  gateway.off('exit', finish);
+
+  console.log('🔍 Checking the stdio gateway against malformed input...\n');
+  cases.forEach(([line, id, code], index) => {
+    const reply = replies[index];
+    check(reply?.id === id && reply?.error?.code === code, `${line} answered with ${code} (got ${JSON.stringify(reply?.error?.code ?? reply)})`);
+  });
+  check(replies.some(reply => reply.id === 'still-alive' && reply.result), 'The gateway still answers ping afterwards');
+
+  gateway.kill();
+  console.log(failures === 0 ? '\n🎉 The gateway handles malformed input' : `\n💥 ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
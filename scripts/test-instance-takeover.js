@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+// Check that a connection can't take over another agent's instance ID.
+//
+// Registers a file-agent instance, then tries to register the same instance ID
+// from a second connection, once as another agent and once as file-agent
+// itself. Both attempts must be rejected with IDENTITY_MISMATCH and the
+// original instance must stay in the registry. Run against a running hub; when
+// authentication is on, set FILE_AGENT_TOKEN and CALCULATOR_AGENT_TOKEN.
+
+import WebSocket from 'ws';
+import dotenv from 'dotenv';
+import { credentialOptions } from '../src/lib/auth.js';
+
+dotenv.config();
+
+const url = process.env.SERVER_URL || `ws://localhost:${process.env.PORT || 8080}`;
+const instanceId = `file-agent-takeover-test-${process.pid}`;
+
+let failures = 0;
+
+function check(ok, message) {
+  console.log(`${ok ? '✅' : '❌'} ${message}`);
+  if (!ok) failures++;
+}
+
+function connect(agentId, token) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(url, credentialOptions(agentId, token));
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+  });
+}
+
+// Send a message and wait for the reply carrying its id
+function request(ws, msg) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No reply to ${msg.type}`)), 5000);
+    ws.on('message', function onMessage(raw) {
+      const reply = JSON.parse(raw.toString());
+      if (reply.id !== msg.id) return;
+      clearTimeout(timer);
+      ws.off('message', onMessage);
+      resolve(reply);
+    });
+    ws.send(JSON.stringify(msg));
+  });
+}
+
+function register(ws, from, id) {
+  return request(ws, {
+    type: 'register',
+    id,
+    from,
+    instanceId,
+    capabilities: { tools: [{ name: 'takeover_probe', description: 'Instance takeover probe', inputSchema: { type: 'object' } }] }
+  });
+}
+
+async function main() {
+  console.log(`🔍 Checking instance takeover protection on ${url}...\n`);
+
+  const owner = await connect('file-agent', process.env.FILE_AGENT_TOKEN);
+  const registered = await register(owner, 'file-agent', 'takeover-owner');
+  check(registered.type === 'registered', `file-agent registered as ${instanceId}`);
+
+  const impostor = await connect('calculator-agent', process.env.CALCULATOR_AGENT_TOKEN);
+  const asOtherAgent = await register(impostor, 'calculator-agent', 'takeover-other-agent');
+  check(asOtherAgent.error?.code === 'IDENTITY_MISMATCH', `calculator-agent can't register as ${instanceId} (${asOtherAgent.error?.code || asOtherAgent.type})`);
+
+  const duplicate = await connect('file-agent', process.env.FILE_AGENT_TOKEN);
+  const asSameAgent = await register(duplicate, 'file-agent', 'takeover-same-agent');
+  check(asSameAgent.error?.code === 'IDENTITY_MISMATCH', `A second file-agent connection can't register as ${instanceId} (${asSameAgent.error?.code || asSameAgent.type})`);
+
+  const listed = await request(owner, { type: 'tools/list', id: 'takeover-list', from: 'file-agent' });
+  const probe = listed.result?.tools?.find(tool => tool.name === 'file-agent/takeover_probe' || tool.qualifiedName === 'file-agent/takeover_probe');
+  check(Boolean(probe) && (!probe.instances || probe.instances.includes(instanceId)), 'file-agent/takeover_probe is still served by the original instance');
+
+  [owner, impostor, duplicate].forEach(ws => ws.close());
+
+  console.log(failures === 0 ? '\n🎉 Instance IDs are protected' : `\n💥 ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
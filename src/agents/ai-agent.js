@@ -1,13 +1,22 @@
 import WebSocket from 'ws';
 import dotenv from 'dotenv';
+import { credentialOptions } from '../lib/auth.js';
+import { readResourceResult } from '../lib/resources.js';
+import { beginCall, cancelCall } from '../lib/call-context.js';
+import { createLogger } from '../lib/logger.js';
+import { createReconnectDelay, isShutdownNotice } from '../lib/reconnect.js';
 
 // Load environment variables
 dotenv.config();
 
 const url = process.env.SERVER_URL || 'ws://localhost:8080';
 const agentId = 'ai-agent';
+// Unique per process so several copies of this agent can serve the same tools
+const instanceId = process.env.AGENT_INSTANCE_ID || `${agentId}-${process.pid}`;
+const log = createLogger(agentId);
 
 let ws;
+const reconnectDelay = createReconnectDelay(2000);
 
 // Azure OpenAI Configuration from environment variables
 const AZURE_OPENAI_CONFIG = {
@@ -20,20 +29,21 @@ const AZURE_OPENAI_CONFIG = {
 
 // Validate required environment variables
 if (!AZURE_OPENAI_CONFIG.apiKey) {
-  console.error('❌ AZURE_OPENAI_API_KEY environment variable is required');
+  log.error('❌ AZURE_OPENAI_API_KEY environment variable is required');
   process.exit(1);
 }
 
 if (!AZURE_OPENAI_CONFIG.endpoint.includes('openai.azure.com')) {
-  console.error('❌ Invalid AZURE_OPENAI_ENDPOINT format');
+  log.error('❌ Invalid AZURE_OPENAI_ENDPOINT format');
   process.exit(1);
 }
 
-// AI Agent Capabilities
+// AI Agent Capabilities (timeoutMs: completions regularly outlast the server's default)
 const tools = [
   {
     name: 'generate_text',
     description: 'Generate text content using AI based on a prompt',
+    timeoutMs: 60000,
     inputSchema: {
       type: 'object',
       properties: {
@@ -63,6 +73,7 @@ const tools = [
   {
     name: 'analyze_content',
     description: 'Analyze and summarize text content using AI',
+    timeoutMs: 60000,
     inputSchema: {
       type: 'object',
       properties: {
@@ -88,6 +99,7 @@ const tools = [
   {
     name: 'answer_question',
     description: 'Answer questions based on provided context using AI',
+    timeoutMs: 60000,
     inputSchema: {
       type: 'object',
       properties: {
@@ -111,6 +123,7 @@ const tools = [
   {
     name: 'improve_text',
     description: 'Improve, rewrite, or enhance text content',
+    timeoutMs: 60000,
     inputSchema: {
       type: 'object',
       properties: {
@@ -136,6 +149,7 @@ const tools = [
   {
     name: 'explain_concept',
     description: 'Explain complex concepts in simple terms',
+    timeoutMs: 60000,
     inputSchema: {
       type: 'object',
       properties: {
@@ -164,9 +178,12 @@ const tools = [
   }
 ];
 
-// Azure OpenAI API client
-async function callAzureOpenAI(messages, maxTokens = 500, temperature = 0.7) {
+// Azure OpenAI API client. `context` is the tool call's context, so a
+// cancelled call aborts the completion request.
+async function callAzureOpenAI(messages, maxTokens = 500, temperature = 0.7, context = {}) {
   try {
+    context.progress?.(0, 1, 'Waiting for Azure OpenAI');
+
     const requestBody = {
       messages: messages,
       max_tokens: maxTokens,
@@ -184,7 +201,8 @@ async function callAzureOpenAI(messages, maxTokens = 500, temperature = 0.7) {
           'Content-Type': 'application/json',
           'api-key': AZURE_OPENAI_CONFIG.apiKey
         },
-        body: JSON.stringify(requestBody)
+        body: JSON.stringify(requestBody),
+        signal: context.signal
       }
     );
 
@@ -208,7 +226,7 @@ async function callAzureOpenAI(messages, maxTokens = 500, temperature = 0.7) {
     };
 
   } catch (error) {
-    console.error('🚨 Azure OpenAI Error:', error);
+    log.error('🚨 Azure OpenAI Error', error);
     return {
       success: false,
       error: error.message,
@@ -218,8 +236,116 @@ async function callAzureOpenAI(messages, maxTokens = 500, temperature = 0.7) {
 }
 
 // Tool Implementations
+// System prompts behind the analysis and rewrite tools
+const ANALYSIS_PROMPTS = {
+  summary: 'You are an expert at creating concise, informative summaries. Provide a clear summary of the given content.',
+  sentiment: 'You are a sentiment analysis expert. Analyze the emotional tone and sentiment of the given content.',
+  key_points: 'You are skilled at identifying key points. Extract the most important points from the given content as a bulleted list.',
+  themes: 'You are a thematic analysis expert. Identify the main themes and topics in the given content.',
+  comprehensive: 'You are a comprehensive content analyst. Provide a detailed analysis including summary, key points, themes, and insights.',
+  default: 'You are a helpful content analyst. Analyze the given content and provide useful insights.'
+};
+
+const IMPROVEMENT_PROMPTS = {
+  grammar: () => 'You are a grammar expert. Fix grammar, spelling, and punctuation errors while preserving the original meaning and tone.',
+  clarity: () => 'You are a clarity expert. Improve text clarity and readability while maintaining the original meaning.',
+  tone: (audience) => `You are a tone expert. Adjust the tone of the text to be appropriate for ${audience}.`,
+  conciseness: () => 'You are a conciseness expert. Make the text more concise while preserving all important information.',
+  professional: () => 'You are a professional writing expert. Make the text more professional and formal.',
+  creative: () => 'You are a creative writing expert. Make the text more engaging and creative.',
+  default: () => 'You are a writing improvement expert. Enhance the given text for better readability and impact.'
+};
+
+// Prompt templates. The tools render their messages from these, and they are
+// published as MCP prompts so clients can reuse them without calling a tool.
+// Prompt arguments arrive as strings.
+const prompts = {
+  content_analysis: {
+    description: 'Analyze content as a summary, sentiment, key points, themes or comprehensive analysis',
+    arguments: [
+      { name: 'content', description: 'Content to analyze', required: true },
+      { name: 'analysis_type', description: 'summary, sentiment, key_points, themes or comprehensive' }
+    ],
+    render: (args) => [
+      { role: 'system', content: ANALYSIS_PROMPTS[args.analysis_type] || ANALYSIS_PROMPTS.default },
+      { role: 'user', content: `Please analyze this content:\n\n${args.content}` }
+    ]
+  },
+
+  comprehensive_analysis: {
+    description: 'Detailed analysis with summary, key points, themes and insights',
+    arguments: [{ name: 'content', description: 'Content to analyze', required: true }],
+    render: (args) => prompts.content_analysis.render({ ...args, analysis_type: 'comprehensive' })
+  },
+
+  text_improvement: {
+    description: 'Rewrite text for grammar, clarity, tone, conciseness, professionalism or creativity',
+    arguments: [
+      { name: 'text', description: 'Text to improve', required: true },
+      { name: 'improvement_type', description: 'grammar, clarity, tone, conciseness, professional or creative' },
+      { name: 'target_audience', description: 'Audience for tone adjustments (default: general)' }
+    ],
+    render: (args) => [
+      {
+        role: 'system',
+        content: (IMPROVEMENT_PROMPTS[args.improvement_type] || IMPROVEMENT_PROMPTS.default)(args.target_audience || 'general')
+      },
+      { role: 'user', content: `Please improve this text:\n\n${args.text}` }
+    ]
+  },
+
+  professional_rewrite: {
+    description: 'Rewrite text in a professional, formal register',
+    arguments: [{ name: 'text', description: 'Text to rewrite', required: true }],
+    render: (args) => prompts.text_improvement.render({ ...args, improvement_type: 'professional' })
+  },
+
+  concept_explanation: {
+    description: 'Explain a concept at a chosen level, optionally with examples',
+    arguments: [
+      { name: 'concept', description: 'Concept to explain', required: true },
+      { name: 'context', description: 'Additional context or data related to the concept' },
+      { name: 'complexity_level', description: 'beginner, intermediate or advanced (default: beginner)' },
+      { name: 'include_examples', description: '"true" or "false" (default: true)' }
+    ],
+    render: (args) => {
+      const includeExamples = args.include_examples !== false && args.include_examples !== 'false';
+      let userPrompt = `Please explain this concept: ${args.concept}`;
+      if (args.context) {
+        userPrompt += `\n\nAdditional context: ${args.context}`;
+      }
+
+      return [
+        {
+          role: 'system',
+          content: `You are an expert educator skilled at explaining complex concepts. Explain concepts at a ${args.complexity_level || 'beginner'} level. ${includeExamples ? 'Include practical examples to illustrate your points.' : 'Focus on clear explanations without examples.'}`
+        },
+        { role: 'user', content: userPrompt }
+      ];
+    }
+  }
+};
+
+// Render a prompt as MCP prompt messages. MCP has no system role, so system
+// text leads the first user turn.
+function getPrompt(name, args = {}) {
+  const prompt = prompts[name];
+  if (!prompt) {
+    throw Object.assign(new Error(`Unknown prompt: ${name}`), { notFound: true });
+  }
+
+  const rendered = prompt.render(args);
+  const system = rendered.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+  const messages = rendered
+    .filter(m => m.role !== 'system')
+    .map(m => ({ role: m.role, content: { type: 'text', text: m.content } }));
+  if (system) messages[0].content.text = `${system}\n\n${messages[0].content.text}`;
+
+  return { description: prompt.description, messages };
+}
+
 const toolHandlers = {
-  generate_text: async (args) => {
+  generate_text: async (args, context = {}) => {
     try {
       const messages = [
         {
@@ -232,7 +358,7 @@ const toolHandlers = {
         }
       ];
 
-      const result = await callAzureOpenAI(messages, args.max_tokens, args.temperature);
+      const result = await callAzureOpenAI(messages, args.max_tokens, args.temperature, context);
       
       if (!result.success) {
         throw new Error(result.error);
@@ -257,41 +383,11 @@ const toolHandlers = {
     }
   },
 
-  analyze_content: async (args) => {
+  analyze_content: async (args, context = {}) => {
     try {
-      let systemPrompt = '';
-      switch (args.analysis_type) {
-        case 'summary':
-          systemPrompt = 'You are an expert at creating concise, informative summaries. Provide a clear summary of the given content.';
-          break;
-        case 'sentiment':
-          systemPrompt = 'You are a sentiment analysis expert. Analyze the emotional tone and sentiment of the given content.';
-          break;
-        case 'key_points':
-          systemPrompt = 'You are skilled at identifying key points. Extract the most important points from the given content as a bulleted list.';
-          break;
-        case 'themes':
-          systemPrompt = 'You are a thematic analysis expert. Identify the main themes and topics in the given content.';
-          break;
-        case 'comprehensive':
-          systemPrompt = 'You are a comprehensive content analyst. Provide a detailed analysis including summary, key points, themes, and insights.';
-          break;
-        default:
-          systemPrompt = 'You are a helpful content analyst. Analyze the given content and provide useful insights.';
-      }
+      const messages = prompts.content_analysis.render(args);
 
-      const messages = [
-        {
-          role: 'system',
-          content: systemPrompt
-        },
-        {
-          role: 'user',
-          content: `Please analyze this content:\n\n${args.content}`
-        }
-      ];
-
-      const result = await callAzureOpenAI(messages, args.max_tokens, 0.3);
+      const result = await callAzureOpenAI(messages, args.max_tokens, 0.3, context);
       
       if (!result.success) {
         throw new Error(result.error);
@@ -316,7 +412,7 @@ const toolHandlers = {
     }
   },
 
-  answer_question: async (args) => {
+  answer_question: async (args, context = {}) => {
     try {
       const systemPrompt = 'You are a knowledgeable assistant. Answer questions accurately and helpfully. If you don\'t know something, say so clearly.';
       
@@ -336,7 +432,7 @@ const toolHandlers = {
         }
       ];
 
-      const result = await callAzureOpenAI(messages, args.max_tokens, 0.2);
+      const result = await callAzureOpenAI(messages, args.max_tokens, 0.2, context);
       
       if (!result.success) {
         throw new Error(result.error);
@@ -361,44 +457,11 @@ const toolHandlers = {
     }
   },
 
-  improve_text: async (args) => {
+  improve_text: async (args, context = {}) => {
     try {
-      let systemPrompt = '';
-      switch (args.improvement_type) {
-        case 'grammar':
-          systemPrompt = 'You are a grammar expert. Fix grammar, spelling, and punctuation errors while preserving the original meaning and tone.';
-          break;
-        case 'clarity':
-          systemPrompt = 'You are a clarity expert. Improve text clarity and readability while maintaining the original meaning.';
-          break;
-        case 'tone':
-          systemPrompt = `You are a tone expert. Adjust the tone of the text to be appropriate for ${args.target_audience}.`;
-          break;
-        case 'conciseness':
-          systemPrompt = 'You are a conciseness expert. Make the text more concise while preserving all important information.';
-          break;
-        case 'professional':
-          systemPrompt = 'You are a professional writing expert. Make the text more professional and formal.';
-          break;
-        case 'creative':
-          systemPrompt = 'You are a creative writing expert. Make the text more engaging and creative.';
-          break;
-        default:
-          systemPrompt = 'You are a writing improvement expert. Enhance the given text for better readability and impact.';
-      }
+      const messages = prompts.text_improvement.render(args);
 
-      const messages = [
-        {
-          role: 'system',
-          content: systemPrompt
-        },
-        {
-          role: 'user',
-          content: `Please improve this text:\n\n${args.text}`
-        }
-      ];
-
-      const result = await callAzureOpenAI(messages, args.text.length + 200, 0.4);
+      const result = await callAzureOpenAI(messages, args.text.length + 200, 0.4, context);
       
       if (!result.success) {
         throw new Error(result.error);
@@ -424,27 +487,11 @@ const toolHandlers = {
     }
   },
 
-  explain_concept: async (args) => {
+  explain_concept: async (args, context = {}) => {
     try {
-      const systemPrompt = `You are an expert educator skilled at explaining complex concepts. Explain concepts at a ${args.complexity_level} level. ${args.include_examples ? 'Include practical examples to illustrate your points.' : 'Focus on clear explanations without examples.'}`;
-      
-      let userPrompt = `Please explain this concept: ${args.concept}`;
-      if (args.context) {
-        userPrompt += `\n\nAdditional context: ${args.context}`;
-      }
+      const messages = prompts.concept_explanation.render(args);
 
-      const messages = [
-        {
-          role: 'system',
-          content: systemPrompt
-        },
-        {
-          role: 'user',
-          content: userPrompt
-        }
-      ];
-
-      const result = await callAzureOpenAI(messages, 400, 0.3);
+      const result = await callAzureOpenAI(messages, 400, 0.3, context);
       
       if (!result.success) {
         throw new Error(result.error);
@@ -472,15 +519,64 @@ const toolHandlers = {
   }
 };
 
+// ai:// resources describe the model and tools; connection settings other than the model stay private
+async function readResource(uri) {
+  switch (uri) {
+    case 'ai://azure-openai':
+      return readResourceResult(uri, 'application/json', JSON.stringify({
+        provider: 'Azure OpenAI',
+        model: AZURE_OPENAI_CONFIG.modelName,
+        deployment: AZURE_OPENAI_CONFIG.deploymentName,
+        apiVersion: AZURE_OPENAI_CONFIG.apiVersion
+      }, null, 2));
+
+    case 'ai://capabilities':
+      return readResourceResult(uri, 'application/json', JSON.stringify(
+        tools.map(({ name, description }) => ({ name, description })), null, 2
+      ));
+
+    default:
+      throw Object.assign(new Error(`Unknown AI resource: ${uri}`), { notFound: true });
+  }
+}
+
+async function handleResourceRead(msg) {
+  try {
+    const result = await readResource(msg.params.uri);
+    ws.send(JSON.stringify({ type: 'response', id: msg.id, result }));
+  } catch (error) {
+    ws.send(JSON.stringify({
+      type: 'error',
+      id: msg.id,
+      error: { code: error.notFound ? 'RESOURCE_NOT_FOUND' : 'READ_FAILED', message: error.message }
+    }));
+  }
+}
+
+function handlePromptGet(msg) {
+  try {
+    const result = getPrompt(msg.params.name, msg.params.arguments);
+    ws.send(JSON.stringify({ type: 'response', id: msg.id, result }));
+  } catch (error) {
+    ws.send(JSON.stringify({
+      type: 'error',
+      id: msg.id,
+      error: { code: error.notFound ? 'PROMPT_NOT_FOUND' : 'INTERNAL_ERROR', message: error.message }
+    }));
+  }
+}
+
 function connect() {
-  ws = new WebSocket(url);
+  ws = new WebSocket(url, credentialOptions(agentId, process.env.AGENT_TOKEN));
 
   ws.on('open', () => {
-    console.log(`🤖 AI Agent connected`);
+    log.info(`🤖 AI Agent connected`);
+    reconnectDelay.connected();
     
     ws.send(JSON.stringify({
       type: 'register',
       from: agentId,
+      instanceId,
       capabilities: {
         tools,
         resources: [
@@ -494,7 +590,12 @@ function connect() {
             name: 'AI Capabilities',
             description: 'Content generation, analysis, Q&A, and text improvement'
           }
-        ]
+        ],
+        prompts: Object.entries(prompts).map(([name, { description, arguments: args }]) => ({
+          name,
+          description,
+          arguments: args
+        }))
       }
     }));
   });
@@ -502,12 +603,33 @@ function connect() {
   ws.on('message', async (raw) => {
     try {
       const msg = JSON.parse(raw.toString());
-      console.log('AI AGENT RECV:', msg);
+      log.debug('Received message', msg);
+
+      if (isShutdownNotice(msg)) {
+        log.info(`🤖 MCP server is shutting down, backing off before reconnecting`);
+        reconnectDelay.backOff(msg.params);
+        return;
+      }
 
       if (msg.type === 'registered') {
-        console.log('✅ AI Agent registered successfully');
-        console.log(`🧠 Available tools: ${tools.map(t => t.name).join(', ')}`);
-        console.log(`🎯 Model: ${AZURE_OPENAI_CONFIG.modelName} via Azure OpenAI`);
+        log.info('✅ AI Agent registered successfully');
+        log.info(`🧠 Available tools: ${tools.map(t => t.name).join(', ')}`);
+        log.info(`🎯 Model: ${AZURE_OPENAI_CONFIG.modelName} via Azure OpenAI`);
+      }
+
+      if (msg.type === 'resources/read') {
+        return await handleResourceRead(msg);
+      }
+
+      if (msg.type === 'prompts/get') {
+        return handlePromptGet(msg);
+      }
+
+      if (msg.type === 'notifications/cancelled') {
+        if (cancelCall(msg.params.requestId, msg.params.reason)) {
+          log.info(`🛑 Cancelled ${msg.params.requestId}: ${msg.params.reason || 'no reason given'}`);
+        }
+        return;
       }
 
       if (msg.type === 'tools/call') {
@@ -515,8 +637,17 @@ function connect() {
         const toolHandler = toolHandlers[toolName];
         
         if (toolHandler) {
-          console.log(`🔧 Executing AI tool: ${toolName}`);
-          const result = await toolHandler(msg.params.arguments);
+          log.info(`🔧 Executing AI tool: ${toolName}`);
+          const context = beginCall(ws, msg);
+          let result;
+          try {
+            result = await toolHandler(msg.params.arguments, context);
+          } finally {
+            context.end();
+          }
+          
+          // The server stopped waiting when the call was cancelled, so don't reply
+          if (context.signal.aborted) return;
           
           const response = {
             type: 'response',
@@ -541,19 +672,20 @@ function connect() {
       }
 
     } catch (error) {
-      console.error('🚨 AI Agent Error:', error);
+      log.error('🚨 AI Agent Error', error);
     }
   });
 
   ws.on('close', () => {
-    console.log('🤖 AI Agent disconnected, attempting to reconnect...');
-    setTimeout(connect, 2000);
+    const delayMs = reconnectDelay.next();
+    log.info(`🤖 AI Agent disconnected, attempting to reconnect in ${delayMs}ms...`);
+    setTimeout(connect, delayMs);
   });
 
   ws.on('error', (error) => {
-    console.error('🚨 AI Agent WebSocket error:', error);
+    log.error('🚨 AI Agent WebSocket error', error);
   });
 }
 
-console.log('🤖 Starting AI Agent...');
+log.info('🤖 Starting AI Agent...');
 connect();
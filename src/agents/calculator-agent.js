@@ -1,13 +1,20 @@
 import WebSocket from 'ws';
 import dotenv from 'dotenv';
+import { credentialOptions } from '../lib/auth.js';
+import { createLogger } from '../lib/logger.js';
+import { createReconnectDelay, isShutdownNotice } from '../lib/reconnect.js';
 
 // Load environment variables
 dotenv.config();
 
 const url = process.env.SERVER_URL || 'ws://localhost:8080';
 const agentId = 'calculator-agent';
+// Unique per process so several copies of this agent can serve the same tools
+const instanceId = process.env.AGENT_INSTANCE_ID || `${agentId}-${process.pid}`;
+const log = createLogger(agentId);
 
 let ws;
+const reconnectDelay = createReconnectDelay(1000);
 
 // Calculator Agent Capabilities
 const tools = [
@@ -263,14 +270,16 @@ const toolHandlers = {
 };
 
 function connect() {
-  ws = new WebSocket(url);
+  ws = new WebSocket(url, credentialOptions(agentId, process.env.AGENT_TOKEN));
 
   ws.on('open', () => {
-    console.log(`🧮 Calculator Agent connected`);
+    log.info(`🧮 Calculator Agent connected`);
+    reconnectDelay.connected();
     
     ws.send(JSON.stringify({
       type: 'register',
       from: agentId,
+      instanceId,
       capabilities: {
         tools,
         resources: []
@@ -281,11 +290,17 @@ function connect() {
   ws.on('message', async (raw) => {
     try {
       const msg = JSON.parse(raw.toString());
-      console.log('CALC AGENT RECV:', msg);
+      log.debug('Received message', msg);
+
+      if (isShutdownNotice(msg)) {
+        log.info(`🧮 MCP server is shutting down, backing off before reconnecting`);
+        reconnectDelay.backOff(msg.params);
+        return;
+      }
 
       if (msg.type === 'registered') {
-        console.log('✅ Calculator Agent registered successfully');
-        console.log(`🔢 Available tools: ${tools.map(t => t.name).join(', ')}`);
+        log.info('✅ Calculator Agent registered successfully');
+        log.info(`🔢 Available tools: ${tools.map(t => t.name).join(', ')}`);
         return;
       }
 
@@ -301,7 +316,7 @@ function connect() {
           }));
         }
         
-        console.log(`🔧 Executing tool: ${toolName}`);
+        log.info(`🔧 Executing tool: ${toolName}`);
         const result = await handler(args);
         
         ws.send(JSON.stringify({
@@ -312,7 +327,7 @@ function connect() {
         }));
       }
     } catch (error) {
-      console.error('Calculator Agent error:', error);
+      log.error('Calculator Agent error', error);
       ws.send(JSON.stringify({
         type: 'error',
         id: msg.id,
@@ -322,14 +337,15 @@ function connect() {
   });
 
   ws.on('close', () => {
-    console.log('🧮 Calculator Agent connection closed, reconnecting...');
-    setTimeout(connect, 1000);
+    const delayMs = reconnectDelay.next();
+    log.info(`🧮 Calculator Agent connection closed, reconnecting in ${delayMs}ms...`);
+    setTimeout(connect, delayMs);
   });
 
   ws.on('error', (error) => {
-    console.error('Calculator Agent error:', error);
+    log.error('Calculator Agent error', error);
   });
 }
 
-console.log('🧮 Starting Calculator Agent...');
+log.info('🧮 Starting Calculator Agent...');
 connect();
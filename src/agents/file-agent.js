@@ -1,15 +1,28 @@
 import WebSocket from 'ws';
 import fs from 'fs/promises';
+import { watch } from 'fs';
 import path from 'path';
 import dotenv from 'dotenv';
+import { credentialOptions } from '../lib/auth.js';
+import { mimeTypeForPath, readResourceResult } from '../lib/resources.js';
+import { createLogger } from '../lib/logger.js';
+import { createReconnectDelay, isShutdownNotice } from '../lib/reconnect.js';
+import { encodeReply } from '../lib/message-limits.js';
 
 // Load environment variables
 dotenv.config();
 
 const url = process.env.SERVER_URL || 'ws://localhost:8080';
 const agentId = 'file-agent';
+// Unique per process so several copies of this agent can serve the same tools
+const instanceId = process.env.AGENT_INSTANCE_ID || `${agentId}-${process.pid}`;
+const log = createLogger(agentId);
+// Files larger than this aren't read, as a tool result or a resource
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
 
 let ws;
+const reconnectDelay = createReconnectDelay(1000);
+const watchers = new Map(); // uri -> { watcher, timer }, for resources the hub subscribed to
 
 // File Agent Capabilities
 const tools = [
@@ -75,6 +88,16 @@ const resources = [
   }
 ];
 
+// Any project file can be addressed by path, not just the listed resources
+const resourceTemplates = [
+  {
+    uriTemplate: 'file://{path}',
+    name: 'Project File',
+    description: 'A file inside the project directory, by relative path',
+    mimeType: 'text/plain'
+  }
+];
+
 // Tool Implementations
 const toolHandlers = {
   read_file: async (args) => {
@@ -82,13 +105,13 @@ const toolHandlers = {
       const filePath = path.resolve(args.path);
       
       // Security check - only allow reading from project directory
-      const projectRoot = process.cwd();
-      if (!filePath.startsWith(projectRoot)) {
+      if (!isInsideProject(filePath)) {
         throw new Error('Access denied: File outside project directory');
       }
       
-      const content = await fs.readFile(filePath, 'utf-8');
       const stats = await fs.stat(filePath);
+      assertReadableSize(stats);
+      const content = await fs.readFile(filePath, 'utf-8');
       
       return {
         success: true,
@@ -108,11 +131,10 @@ const toolHandlers = {
 
   write_file: async (args) => {
     try {
-      console.log('📝 File Agent: write_file called with', args);
+      log.debug('📝 File Agent: write_file called with', args);
       const filePath = path.resolve(args.path);
-      const projectRoot = process.cwd();
       
-      if (!filePath.startsWith(projectRoot)) {
+      if (!isInsideProject(filePath)) {
         throw new Error('Access denied: File outside project directory');
       }
       
@@ -127,10 +149,10 @@ const toolHandlers = {
         size: stats.size,
         written: new Date().toISOString()
       };
-      console.log('📝 File Agent: write_file returning', result);
+      log.debug('📝 File Agent: write_file returning', result);
       return result;
     } catch (error) {
-      console.log('📝 File Agent: write_file error', error);
+      log.error('📝 File Agent: write_file error', error);
       return {
         success: false,
         error: error.message,
@@ -142,9 +164,8 @@ const toolHandlers = {
   list_files: async (args) => {
     try {
       const dirPath = path.resolve(args.directory);
-      const projectRoot = process.cwd();
       
-      if (!dirPath.startsWith(projectRoot)) {
+      if (!isInsideProject(dirPath)) {
         throw new Error('Access denied: Directory outside project');
       }
       
@@ -180,9 +201,8 @@ const toolHandlers = {
   create_directory: async (args) => {
     try {
       const dirPath = path.resolve(args.path);
-      const projectRoot = process.cwd();
       
-      if (!dirPath.startsWith(projectRoot)) {
+      if (!isInsideProject(dirPath)) {
         throw new Error('Access denied: Directory outside project');
       }
       
@@ -203,19 +223,99 @@ const toolHandlers = {
   }
 };
 
+// Serve file:// resources with their real MIME type; binary files go out as base64 blobs
+async function readResource(uri) {
+  const filePath = path.resolve(uri.replace('file://', ''));
+  if (!isInsideProject(filePath)) {
+    throw new Error('Access denied: File outside project directory');
+  }
+  
+  assertReadableSize(await fs.stat(filePath));
+  const data = await fs.readFile(filePath);
+  return readResourceResult(uri, mimeTypeForPath(filePath), data);
+}
+
+// A prefix check would let /project-other through for /project; compare by relative path instead
+function isInsideProject(target) {
+  const relative = path.relative(process.cwd(), target);
+  return relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+}
+
+// The hub asks for changes to a file:// resource; report them until it unsubscribes
+function watchResource(uri) {
+  if (typeof uri !== 'string' || watchers.has(uri)) return;
+  const filePath = path.resolve(uri.replace('file://', ''));
+  if (!isInsideProject(filePath)) {
+    log.warn(`⚠️ Not watching ${uri}: File outside project directory`);
+    return;
+  }
+  
+  const entry = { watcher: null, timer: null };
+  try {
+    entry.watcher = watch(filePath, () => {
+      // Editors and writers fire several events per change; report one
+      clearTimeout(entry.timer);
+      entry.timer = setTimeout(() => {
+        if (ws.readyState !== WebSocket.OPEN) return;
+        ws.send(JSON.stringify({ type: 'notifications/resources/updated', params: { uri } }));
+      }, 100);
+    });
+  } catch (error) {
+    log.warn(`⚠️ Cannot watch ${uri}: ${error.message}`);
+    return;
+  }
+  entry.watcher.on('error', (error) => {
+    log.warn(`⚠️ Stopped watching ${uri}: ${error.message}`);
+    unwatchResource(uri);
+  });
+  watchers.set(uri, entry);
+  log.info(`👀 Watching ${uri}`);
+}
+
+function unwatchResource(uri) {
+  const entry = watchers.get(uri);
+  if (!entry) return;
+  
+  entry.watcher.close();
+  clearTimeout(entry.timer);
+  watchers.delete(uri);
+}
+
+function assertReadableSize(stats) {
+  if (stats.size > MAX_FILE_SIZE) {
+    throw new Error(`File is ${stats.size} bytes, larger than MAX_FILE_SIZE (${MAX_FILE_SIZE} bytes)`);
+  }
+}
+
+async function handleResourceRead(msg) {
+  try {
+    const result = await readResource(msg.params.uri);
+    ws.send(encodeReply({ type: 'response', id: msg.id, result }));
+  } catch (error) {
+    ws.send(JSON.stringify({
+      type: 'error',
+      id: msg.id,
+      error: { code: error.code === 'ENOENT' ? 'RESOURCE_NOT_FOUND' : 'READ_FAILED', message: error.message }
+    }));
+  }
+}
+
 function connect() {
-  ws = new WebSocket(url);
+  ws = new WebSocket(url, credentialOptions(agentId, process.env.AGENT_TOKEN));
 
   ws.on('open', () => {
-    console.log(`🗂️ File Agent connected`);
+    log.info(`🗂️ File Agent connected`);
+    reconnectDelay.connected();
     
     // Register with MCP server including capabilities
     ws.send(JSON.stringify({
       type: 'register',
       from: agentId,
+      instanceId,
       capabilities: {
         tools,
-        resources
+        resources,
+        resourceTemplates
       }
     }));
   });
@@ -223,14 +323,27 @@ function connect() {
   ws.on('message', async (raw) => {
     try {
       const msg = JSON.parse(raw.toString());
-      console.log('FILE AGENT RECV:', msg);
+      log.debug('Received message', msg);
+
+      if (isShutdownNotice(msg)) {
+        log.info(`🗂️ MCP server is shutting down, backing off before reconnecting`);
+        reconnectDelay.backOff(msg.params);
+        return;
+      }
 
       if (msg.type === 'registered') {
-        console.log('✅ File Agent registered successfully');
-        console.log(`📁 Available tools: ${tools.map(t => t.name).join(', ')}`);
+        log.info('✅ File Agent registered successfully');
+        log.info(`📁 Available tools: ${tools.map(t => t.name).join(', ')}`);
         return;
       }
 
+      if (msg.type === 'resources/read') {
+        return await handleResourceRead(msg);
+      }
+
+      if (msg.type === 'resources/subscribe') return watchResource(msg.params?.uri);
+      if (msg.type === 'resources/unsubscribe') return unwatchResource(msg.params?.uri);
+
       if (msg.type === 'tools/call') {
         const { name: toolName, arguments: args } = msg.params;
         const handler = toolHandlers[toolName];
@@ -243,10 +356,10 @@ function connect() {
           }));
         }
         
-        console.log(`🔧 Executing tool: ${toolName}`);
+        log.info(`🔧 Executing tool: ${toolName}`);
         const result = await handler(args);
         
-        ws.send(JSON.stringify({
+        ws.send(encodeReply({
           type: 'response',
           id: msg.id,
           result,
@@ -254,7 +367,7 @@ function connect() {
         }));
       }
     } catch (error) {
-      console.error('File Agent error:', error);
+      log.error('File Agent error', error);
       ws.send(JSON.stringify({
         type: 'error',
         id: msg.id,
@@ -264,14 +377,17 @@ function connect() {
   });
 
   ws.on('close', () => {
-    console.log('🗂️ File Agent connection closed, reconnecting...');
-    setTimeout(connect, 1000);
+    // The hub hands subscriptions out again once this instance re-registers
+    watchers.forEach((entry, uri) => unwatchResource(uri));
+    const delayMs = reconnectDelay.next();
+    log.info(`🗂️ File Agent connection closed, reconnecting in ${delayMs}ms...`);
+    setTimeout(connect, delayMs);
   });
 
   ws.on('error', (error) => {
-    console.error('File Agent error:', error);
+    log.error('File Agent error', error);
   });
 }
 
-console.log('🗂️ Starting File Agent...');
+log.info('🗂️ Starting File Agent...');
 connect();
@@ -0,0 +1,338 @@
+import WebSocket from 'ws';
+import { spawn } from 'child_process';
+import readline from 'readline';
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { JSONRPC_VERSION, SUPPORTED_PROTOCOL_VERSIONS } from '../lib/jsonrpc.js';
+import { credentialOptions } from '../lib/auth.js';
+import { createLogger } from '../lib/logger.js';
+import { createReconnectDelay, isShutdownNotice } from '../lib/reconnect.js';
+import { encodeReply } from '../lib/message-limits.js';
+
+// Load environment variables
+dotenv.config();
+
+const url = process.env.SERVER_URL || 'ws://localhost:8080';
+const agentId = 'mcp-bridge-agent';
+// Unique per process so several copies of this agent can serve the same tools
+const instanceId = process.env.AGENT_INSTANCE_ID || `${agentId}-${process.pid}`;
+const log = createLogger(agentId);
+const configPath = path.resolve(process.env.MCP_BRIDGE_CONFIG || 'mcp-servers.json');
+
+const CLIENT_INFO = { name: agentId, version: '1.0.0' };
+const MAX_RESTART_DELAY = 30000;
+// How long a child server has to answer a request
+const REQUEST_TIMEOUT = parseInt(process.env.MCP_BRIDGE_REQUEST_TIMEOUT) || 60000;
+
+let ws;
+const reconnectDelay = createReconnectDelay(1000);
+const servers = new Map(); // serverName -> { config, process, pending, tools, ready, restartDelay }
+
+// Load the external server list. Same shape as desktop MCP client configs:
+// { "mcpServers": { "<name>": { "command": "...", "args": [], "env": {} } } }
+function loadConfig() {
+  if (!fs.existsSync(configPath)) {
+    log.warn(`⚠️ No MCP server config found at ${configPath}`);
+    return {};
+  }
+
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  return config.mcpServers || {};
+}
+
+// Send a JSON-RPC request to a child server and wait for its answer
+function request(server, method, params = {}) {
+  return new Promise((resolve, reject) => {
+    const id = ++server.requestCounter;
+    const timer = setTimeout(() => {
+      server.pending.delete(id);
+      reject(new Error(`${method} timed out after ${REQUEST_TIMEOUT}ms`));
+    }, REQUEST_TIMEOUT);
+    server.pending.set(id, { resolve, reject, timer });
+
+    if (!writeToChild(server, { id, method, params })) {
+      settlePending(server, id);
+      reject(new Error(`MCP server ${server.name} is not running`));
+    }
+  });
+}
+
+// Returns false when the child can't take the message
+function writeToChild(server, msg) {
+  if (!server.process?.stdin.writable) return false;
+  server.process.stdin.write(JSON.stringify({ jsonrpc: JSONRPC_VERSION, ...msg }) + '\n');
+  return true;
+}
+
+// Stop waiting for a request; returns its pending entry, if still pending
+function settlePending(server, id) {
+  const pending = server.pending.get(id);
+  if (!pending) return null;
+  clearTimeout(pending.timer);
+  server.pending.delete(id);
+  return pending;
+}
+
+function failPending(server, error) {
+  server.pending.forEach((pending, id) => settlePending(server, id).reject(error));
+}
+
+function handleChildMessage(server, msg) {
+  // Answer to one of our requests
+  if (msg.id !== undefined && !msg.method) {
+    const pending = settlePending(server, msg.id);
+    if (!pending) return;
+
+    if (msg.error) {
+      pending.reject(Object.assign(new Error(msg.error.message), { code: msg.error.code }));
+    } else {
+      pending.resolve(msg.result);
+    }
+    return;
+  }
+
+  if (msg.method === 'notifications/tools/list_changed') {
+    log.info(`🔄 ${server.name} changed its tool list`);
+    refreshTools(server);
+    return;
+  }
+
+  // We don't offer sampling, roots or elicitation to child servers
+  if (msg.id !== undefined) {
+    if (msg.method === 'ping') return writeToChild(server, { id: msg.id, result: {} });
+    writeToChild(server, { id: msg.id, error: { code: -32601, message: `Method not found: ${msg.method}` } });
+  }
+}
+
+async function refreshTools(server) {
+  try {
+    const { tools = [] } = await request(server, 'tools/list');
+    server.tools = tools;
+    log.info(`🔧 ${server.name} provides: ${tools.map(t => t.name).join(', ') || 'no tools'}`);
+    registerWithHub();
+  } catch (error) {
+    log.error(`🚨 tools/list failed for ${server.name}`, error);
+  }
+}
+
+function startServer(server) {
+  const { command, args = [], env = {}, cwd } = server.config;
+  log.info(`🚀 Starting MCP server ${server.name}: ${command} ${args.join(' ')}`);
+
+  const child = spawn(command, args, {
+    cwd,
+    env: { ...process.env, ...env },
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+  server.process = child;
+  server.ready = false;
+
+  readline.createInterface({ input: child.stdout }).on('line', (line) => {
+    if (!line.trim()) return;
+    try {
+      handleChildMessage(server, JSON.parse(line));
+    } catch (error) {
+      log.error(`🚨 Invalid message from ${server.name}`, error);
+    }
+  });
+
+  readline.createInterface({ input: child.stderr }).on('line', (line) => {
+    log.error(`[${server.name}] ${line}`);
+  });
+
+  child.on('error', (error) => {
+    log.error(`🚨 Failed to start ${server.name}`, error);
+  });
+
+  // A child dying mid-write (EPIPE) fails what it was working on instead of the bridge
+  child.stdin.on('error', (error) => {
+    log.error(`🚨 Writing to ${server.name} failed`, error);
+    failPending(server, new Error(`MCP server ${server.name} stopped accepting input: ${error.message}`));
+  });
+
+  // 'close' follows both a normal exit and a failed spawn (ENOENT), which never emits 'exit'
+  child.on('close', (code) => {
+    if (server.process !== child) return;
+    log.info(`🔌 MCP server ${server.name} ${child.pid === undefined ? 'failed to start' : `exited with code ${code}`}, restarting in ${server.restartDelay}ms...`);
+
+    failPending(server, new Error(`MCP server ${server.name} ${child.pid === undefined ? 'failed to start' : 'exited'}`));
+    server.process = null;
+    server.ready = false;
+    server.tools = [];
+    registerWithHub();
+
+    setTimeout(() => startServer(server), server.restartDelay);
+    server.restartDelay = Math.min(server.restartDelay * 2, MAX_RESTART_DELAY);
+  });
+
+  initializeServer(server);
+}
+
+async function initializeServer(server) {
+  try {
+    const result = await request(server, 'initialize', {
+      protocolVersion: SUPPORTED_PROTOCOL_VERSIONS[0],
+      capabilities: {},
+      clientInfo: CLIENT_INFO
+    });
+    writeToChild(server, { method: 'notifications/initialized' });
+
+    server.ready = true;
+    server.restartDelay = 1000;
+    log.info(`✅ ${server.name} initialized (${result.serverInfo?.name || 'unknown'}, protocol ${result.protocolVersion})`);
+
+    await refreshTools(server);
+  } catch (error) {
+    log.error(`🚨 initialize failed for ${server.name}`, error);
+  }
+}
+
+// Tools from every ready child server, first server wins on duplicate names
+function collectTools() {
+  const owners = new Map(); // toolName -> server
+  const tools = [];
+
+  servers.forEach(server => {
+    if (!server.ready) return;
+    server.tools.forEach(tool => {
+      if (owners.has(tool.name)) {
+        log.warn(`⚠️ Tool ${tool.name} from ${server.name} shadowed by ${owners.get(tool.name).name}`);
+        return;
+      }
+      owners.set(tool.name, server);
+      tools.push({
+        name: tool.name,
+        description: tool.description || `${tool.name} (via ${server.name})`,
+        inputSchema: tool.inputSchema || { type: 'object' }
+      });
+    });
+  });
+
+  return { owners, tools };
+}
+
+function registerWithHub() {
+  if (!ws || ws.readyState !== WebSocket.OPEN) return;
+
+  const { tools } = collectTools();
+  ws.send(JSON.stringify({
+    type: 'register',
+    from: agentId,
+    instanceId,
+    capabilities: {
+      tools,
+      resources: []
+    }
+  }));
+}
+
+async function handleToolCall(msg) {
+  const { name: toolName, arguments: args } = msg.params;
+  const server = collectTools().owners.get(toolName);
+
+  if (!server) {
+    return ws.send(JSON.stringify({
+      type: 'error',
+      id: msg.id,
+      error: { code: 'TOOL_NOT_FOUND', message: `Tool ${toolName} not provided by any bridged MCP server` }
+    }));
+  }
+
+  try {
+    log.info(`🔧 Forwarding ${toolName} to ${server.name}`);
+    // CallToolResult goes back as-is; the hub converts it for legacy callers
+    const result = await request(server, 'tools/call', { name: toolName, arguments: args || {} });
+
+    ws.send(encodeReply({
+      type: 'response',
+      id: msg.id,
+      result,
+      _workflowId: msg._workflowId
+    }));
+  } catch (error) {
+    ws.send(JSON.stringify({
+      type: 'error',
+      id: msg.id,
+      error: { code: 'UPSTREAM_ERROR', message: `${server.name}: ${error.message}` }
+    }));
+  }
+}
+
+function connect() {
+  ws = new WebSocket(url, credentialOptions(agentId, process.env.AGENT_TOKEN));
+
+  ws.on('open', () => {
+    log.info(`🌉 MCP Bridge Agent connected`);
+    reconnectDelay.connected();
+    registerWithHub();
+  });
+
+  ws.on('message', async (raw) => {
+    let msg;
+    try {
+      msg = JSON.parse(raw.toString());
+
+      if (isShutdownNotice(msg)) {
+        log.info(`🌉 MCP server is shutting down, backing off before reconnecting`);
+        reconnectDelay.backOff(msg.params);
+        return;
+      }
+
+      if (msg.type === 'registered') {
+        log.info(`✅ MCP Bridge Agent registered with ${collectTools().tools.length} bridged tools`);
+        return;
+      }
+
+      if (msg.type === 'tools/call') {
+        await handleToolCall(msg);
+      }
+    } catch (error) {
+      log.error('MCP Bridge Agent error', error);
+      if (msg?.id) {
+        ws.send(JSON.stringify({
+          type: 'error',
+          id: msg.id,
+          error: { code: 'INTERNAL_ERROR', message: error.message }
+        }));
+      }
+    }
+  });
+
+  ws.on('close', () => {
+    const delayMs = reconnectDelay.next();
+    log.info(`🌉 MCP Bridge Agent connection closed, reconnecting in ${delayMs}ms...`);
+    setTimeout(connect, delayMs);
+  });
+
+  ws.on('error', (error) => {
+    log.error('MCP Bridge Agent error', error);
+  });
+}
+
+log.info('🌉 Starting MCP Bridge Agent...');
+
+Object.entries(loadConfig()).forEach(([name, config]) => {
+  const server = {
+    name,
+    config,
+    process: null,
+    pending: new Map(),
+    requestCounter: 0,
+    tools: [],
+    ready: false,
+    restartDelay: 1000
+  };
+  servers.set(name, server);
+  startServer(server);
+});
+
+// Don't leave orphaned child servers behind
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => {
+    servers.forEach(server => server.process?.kill());
+    process.exit(0);
+  });
+});
+
+connect();
@@ -1,13 +1,21 @@
 import WebSocket from 'ws';
 import dotenv from 'dotenv';
+import { credentialOptions } from '../lib/auth.js';
+import { beginCall, cancelCall } from '../lib/call-context.js';
+import { createLogger } from '../lib/logger.js';
+import { createReconnectDelay, isShutdownNotice } from '../lib/reconnect.js';
 
 // Load environment variables
 dotenv.config();
 
 const url = process.env.SERVER_URL || 'ws://localhost:8080';
 const agentId = 'orchestrator-agent';
+// Unique per process so several copies of this agent can serve the same tools
+const instanceId = process.env.AGENT_INSTANCE_ID || `${agentId}-${process.pid}`;
+const log = createLogger(agentId);
 
 let ws;
+const reconnectDelay = createReconnectDelay(1000);
 let availableTools = new Map(); // toolName -> { agentId, schema }
 let pendingRequests = new Map(); // requestId -> { originalMessage, plan, currentStep, results }
 
@@ -19,11 +27,12 @@ let conversationMemory = {
   recentResults: [] // Keep last 5 results
 };
 
-// Orchestrator Agent Capabilities
+// Orchestrator Agent Capabilities (timeoutMs covers every step of a plan)
 const tools = [
   {
     name: 'natural_request',
     description: 'Process natural language requests and coordinate multiple agents to fulfill them',
+    timeoutMs: 180000,
     inputSchema: {
       type: 'object',
       properties: {
@@ -313,7 +322,7 @@ function detectIntent(query) {
   for (const pattern of intentPatterns) {
     for (const regex of pattern.patterns) {
       if (regex.test(lowercaseQuery)) {
-        console.log(`🎯 Detected intent: ${pattern.intent}`);
+        log.info(`🎯 Detected intent: ${pattern.intent}`);
         return pattern;
       }
     }
@@ -407,7 +416,7 @@ function createExecutionPlan(intent, query) {
       let last = conversationMemory.lastResult;
       if (!last && conversationMemory.recentResults.length > 0) {
         const recent = conversationMemory.recentResults[conversationMemory.recentResults.length - 1];
-        console.log('🔁 Falling back to recentResults for save_context:', recent?.intent);
+        log.debug('🔁 Falling back to recentResults for save_context', recent?.intent);
         last = recent?.result || recent;
       }
 
@@ -418,11 +427,11 @@ function createExecutionPlan(intent, query) {
 
       // Extract content from last result
       let contentToSave = '';
-      console.log('🔍 Saving context - lastIntent:', conversationMemory.lastIntent);
+      log.debug('🔍 Saving context - lastIntent', conversationMemory.lastIntent);
       try {
-        console.log('🔍 Saving context - lastResult structure:', Object.keys(last || {}));
+        log.debug('🔍 Saving context - lastResult structure', Object.keys(last || {}));
       } catch (e) {
-        console.log('🔍 Saving context - lastResult (non-object)');
+        log.debug('🔍 Saving context - lastResult (non-object)');
       }
 
       if ((conversationMemory.lastIntent === 'web_ai_analyze' || (conversationMemory.recentResults.slice(-1)[0]?.intent === 'web_ai_analyze')) && last.analysis) {
@@ -437,8 +446,8 @@ function createExecutionPlan(intent, query) {
         contentToSave = JSON.stringify(last, null, 2);
       }
 
-      console.log('🔍 Content to save length:', contentToSave.length);
-      console.log('🔍 File name extracted:', fileName);
+      log.debug('🔍 Content to save length', contentToSave.length);
+      log.debug('🔍 File name extracted', fileName);
       
       plan.steps.push({
         tool: 'write_file',
@@ -615,10 +624,15 @@ function createExecutionPlan(intent, query) {
   return plan;
 }
 
-// Execute a plan step
-async function executeStep(plan, stepIndex, previousResults = []) {
+// Execute a plan step. `context` is the natural_request call's context: its
+// cancellation cancels the step's tool call, and step progress is relayed to it.
+async function executeStep(plan, stepIndex, previousResults = [], context = {}) {
   const step = plan.steps[stepIndex];
   
+  if (context.signal?.aborted) {
+    return { success: false, error: 'Cancelled', tool: step.tool };
+  }
+  
   if (step.tool === 'error') {
     return { success: false, error: step.arguments.message };
   }
@@ -677,11 +691,27 @@ async function executeStep(plan, stepIndex, previousResults = []) {
       resolve,
       step,
       stepIndex,
-      timestamp: Date.now()
+      timestamp: Date.now(),
+      onProgress: (progress) => {
+        if (progress.message) {
+          context.progress?.(stepIndex, plan.steps.length, `${step.description}: ${progress.message}`);
+        }
+      }
     };
     
     pendingRequests.set(requestId, requestInfo);
     
+    // Pass our own cancellation on to the agent running this step
+    context.signal?.addEventListener('abort', () => {
+      if (!pendingRequests.has(requestId)) return;
+      pendingRequests.delete(requestId);
+      ws.send(JSON.stringify({
+        type: 'notifications/cancelled',
+        params: { requestId, reason: 'Natural language request cancelled' }
+      }));
+      resolve({ success: false, error: 'Cancelled', tool: step.tool });
+    }, { once: true });
+    
     // Send tool call
     const toolCall = {
       type: 'tools/call',
@@ -689,20 +719,14 @@ async function executeStep(plan, stepIndex, previousResults = []) {
       from: agentId,
       params: {
         name: step.tool,
-        arguments: step.arguments
+        arguments: step.arguments,
+        ...(context.progress && { _meta: { progressToken: requestId } })
       }
     };
     
-    console.log(`🔧 Orchestrator executing step ${stepIndex + 1}: ${step.description}`);
+    // The server answers with a TIMEOUT error if the tool takes too long
+    log.info(`🔧 Orchestrator executing step ${stepIndex + 1}: ${step.description}`);
     ws.send(JSON.stringify(toolCall));
-    
-    // Timeout after 10 seconds
-    setTimeout(() => {
-      if (pendingRequests.has(requestId)) {
-        pendingRequests.delete(requestId);
-        resolve({ success: false, error: 'Tool call timeout', tool: step.tool });
-      }
-    }, 10000);
   });
 }
 
@@ -710,7 +734,7 @@ async function executeStep(plan, stepIndex, previousResults = []) {
 async function executePlan(plan, originalMessage) {
   const results = [];
   
-  console.log(`🎯 Orchestrator executing plan: ${plan.intent} with ${plan.steps.length} steps`);
+  log.info(`🎯 Orchestrator executing plan: ${plan.intent} with ${plan.steps.length} steps`);
   
   for (let i = 0; i < plan.steps.length; i++) {
     const result = await executeStep(plan, i, results);
@@ -905,10 +929,10 @@ function synthesizeResponse(plan, results) {
 
 // Tool Implementations
 const toolHandlers = {
-  natural_request: async (args) => {
+  natural_request: async (args, context = {}) => {
     try {
       const query = args.query;
-      console.log(`🎭 Orchestrator processing: "${query}"`);
+      log.info(`🎭 Orchestrator processing: "${query}"`);
       
       // Detect intent
       const intent = detectIntent(query);
@@ -929,7 +953,8 @@ const toolHandlers = {
       const results = [];
       
       for (let i = 0; i < plan.steps.length; i++) {
-        const result = await executeStep(plan, i, results);
+        context.progress?.(i, plan.steps.length, `Step ${i + 1}/${plan.steps.length}: ${plan.steps[i].description}`);
+        const result = await executeStep(plan, i, results, context);
         results.push(result);
         
         if (!result.success) {
@@ -975,14 +1000,16 @@ const toolHandlers = {
 };
 
 function connect() {
-  ws = new WebSocket(url);
+  ws = new WebSocket(url, credentialOptions(agentId, process.env.AGENT_TOKEN));
 
   ws.on('open', () => {
-    console.log(`🎭 Orchestrator Agent connected`);
+    log.info(`🎭 Orchestrator Agent connected`);
+    reconnectDelay.connected();
     
     ws.send(JSON.stringify({
       type: 'register',
       from: agentId,
+      instanceId,
       capabilities: {
         tools,
         resources: []
@@ -993,11 +1020,17 @@ function connect() {
   ws.on('message', async (raw) => {
     try {
       const msg = JSON.parse(raw.toString());
-      console.log('ORCHESTRATOR RECV:', msg);
+      log.debug('Received message', msg);
+
+      if (isShutdownNotice(msg)) {
+        log.info(`🎭 MCP server is shutting down, backing off before reconnecting`);
+        reconnectDelay.backOff(msg.params);
+        return;
+      }
 
       if (msg.type === 'registered') {
-        console.log('✅ Orchestrator Agent registered successfully');
-        console.log(`🎯 Available for natural language coordination`);
+        log.info('✅ Orchestrator Agent registered successfully');
+        log.info(`🎯 Available for natural language coordination`);
         
         // Update our tool registry
         if (msg.serverCapabilities?.tools) {
@@ -1005,13 +1038,13 @@ function connect() {
           msg.serverCapabilities.tools.forEach(toolName => {
             availableTools.set(toolName, { agentId: 'unknown', schema: { name: toolName } });
           });
-          console.log(`🔧 Discovered ${availableTools.size} available tools`);
+          log.info(`🔧 Discovered ${availableTools.size} available tools`);
         }
         return;
       }
 
       if (msg.type === 'capabilities_updated') {
-        console.log('🔄 Updating tool capabilities...');
+        log.info('🔄 Updating tool capabilities...');
         
         // Update our tool registry with latest capabilities
         if (msg.serverCapabilities?.tools) {
@@ -1019,11 +1052,24 @@ function connect() {
           msg.serverCapabilities.tools.forEach(toolName => {
             availableTools.set(toolName, { agentId: 'unknown', schema: { name: toolName } });
           });
-          console.log(`🔧 Updated to ${availableTools.size} available tools: ${Array.from(availableTools.keys()).join(', ')}`);
+          log.info(`🔧 Updated to ${availableTools.size} available tools: ${Array.from(availableTools.keys()).join(', ')}`);
         }
         return;
       }
 
+      if (msg.type === 'notifications/cancelled') {
+        if (cancelCall(msg.params.requestId, msg.params.reason)) {
+          log.info(`🛑 Cancelled ${msg.params.requestId}: ${msg.params.reason || 'no reason given'}`);
+        }
+        return;
+      }
+
+      // Progress from the agents running our plan steps
+      if (msg.type === 'notifications/progress') {
+        pendingRequests.get(msg.params.progressToken)?.onProgress(msg.params);
+        return;
+      }
+
       if (msg.type === 'tools/call') {
         const { name: toolName, arguments: args } = msg.params;
         const handler = toolHandlers[toolName];
@@ -1036,8 +1082,17 @@ function connect() {
           }));
         }
         
-        console.log(`🔧 Orchestrator executing: ${toolName}`);
-        const result = await handler(args);
+        log.info(`🔧 Orchestrator executing: ${toolName}`);
+        const context = beginCall(ws, msg);
+        let result;
+        try {
+          result = await handler(args, context);
+        } finally {
+          context.end();
+        }
+        
+        // The server stopped waiting when the call was cancelled, so don't reply
+        if (context.signal.aborted) return;
         
         // Store response target for async execution
         if (msg.id.startsWith('orchestrator-async')) {
@@ -1056,7 +1111,7 @@ function connect() {
       if (msg.type === 'response') {
           // Handle responses from other agents
           const requestInfo = pendingRequests.get(msg.id);
-          console.log('🟢 Orchestrator received response:', {
+          log.debug('🟢 Orchestrator received response', {
             id: msg.id,
             tool: requestInfo?.step?.tool,
             result: msg.result
@@ -1081,7 +1136,7 @@ function connect() {
       }
 
     } catch (error) {
-      console.error('Orchestrator Agent error:', error);
+      log.error('Orchestrator Agent error', error);
       if (msg?.id) {
         ws.send(JSON.stringify({
           type: 'error',
@@ -1093,14 +1148,21 @@ function connect() {
   });
 
   ws.on('close', () => {
-    console.log('🎭 Orchestrator Agent connection closed, reconnecting...');
-    setTimeout(connect, 1000);
+    const delayMs = reconnectDelay.next();
+    log.info(`🎭 Orchestrator Agent connection closed, reconnecting in ${delayMs}ms...`);
+    
+    // Replies to steps in flight would have come over this connection
+    pendingRequests.forEach((requestInfo) => {
+      requestInfo.resolve({ success: false, error: 'Connection to MCP server lost', tool: requestInfo.step.tool });
+    });
+    pendingRequests.clear();
+    setTimeout(connect, delayMs);
   });
 
   ws.on('error', (error) => {
-    console.error('Orchestrator Agent error:', error);
+    log.error('Orchestrator Agent error', error);
   });
 }
 
-console.log('🎭 Starting Orchestrator Agent...');
+log.info('🎭 Starting Orchestrator Agent...');
 connect();
@@ -1,19 +1,30 @@
 import WebSocket from 'ws';
 import dotenv from 'dotenv';
+import { credentialOptions } from '../lib/auth.js';
+import { readResourceResult } from '../lib/resources.js';
+import { beginCall, cancelCall } from '../lib/call-context.js';
+import { createLogger } from '../lib/logger.js';
+import { createReconnectDelay, isShutdownNotice } from '../lib/reconnect.js';
+import { encodeReply } from '../lib/message-limits.js';
 
 // Load environment variables
 dotenv.config();
 
 const url = process.env.SERVER_URL || 'ws://localhost:8080';
 const agentId = 'web-agent';
+// Unique per process so several copies of this agent can serve the same tools
+const instanceId = process.env.AGENT_INSTANCE_ID || `${agentId}-${process.pid}`;
+const log = createLogger(agentId);
 
 let ws;
+const reconnectDelay = createReconnectDelay(1000);
 
-// Web Agent Capabilities
+// Web Agent Capabilities (timeoutMs: how long the server waits for a reply)
 const tools = [
   {
     name: 'fetch_url',
     description: 'Fetch content from a URL with HTTP GET request',
+    timeoutMs: 30000,
     inputSchema: {
       type: 'object',
       properties: {
@@ -35,6 +46,7 @@ const tools = [
   {
     name: 'post_data',
     description: 'Send data to a URL with HTTP POST request',
+    timeoutMs: 30000,
     inputSchema: {
       type: 'object',
       properties: {
@@ -93,6 +105,7 @@ const tools = [
   {
     name: 'extract_text',
     description: 'Fetch a webpage and extract clean text content from HTML',
+    timeoutMs: 20000,
     inputSchema: {
       type: 'object',
       properties: {
@@ -143,9 +156,14 @@ function isUrlAllowed(urlString) {
   }
 }
 
+// Abort a request when the caller cancels the tool call it belongs to
+function linkCancellation(controller, signal) {
+  signal?.addEventListener('abort', () => controller.abort(), { once: true });
+}
+
 // Tool Implementations
 const toolHandlers = {
-  fetch_url: async (args) => {
+  fetch_url: async (args, context = {}) => {
     try {
       if (!isUrlAllowed(args.url)) {
         throw new Error(`URL not allowed. Permitted domains: ${allowedDomains.join(', ')}`);
@@ -153,6 +171,8 @@ const toolHandlers = {
 
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), args.timeout || 10000);
+      linkCancellation(controller, context.signal);
+      context.progress?.(0, 2, `Fetching ${args.url}`);
 
       const response = await fetch(args.url, {
         method: 'GET',
@@ -164,6 +184,7 @@ const toolHandlers = {
       });
 
       clearTimeout(timeoutId);
+      context.progress?.(1, 2, `Reading response (HTTP ${response.status})`);
 
       const contentType = response.headers.get('content-type') || '';
       let data;
@@ -202,7 +223,7 @@ const toolHandlers = {
     }
   },
 
-  post_data: async (args) => {
+  post_data: async (args, context = {}) => {
     try {
       if (!isUrlAllowed(args.url)) {
         throw new Error(`URL not allowed. Permitted domains: ${allowedDomains.join(', ')}`);
@@ -210,6 +231,7 @@ const toolHandlers = {
 
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), args.timeout || 10000);
+      linkCancellation(controller, context.signal);
 
       const body = JSON.stringify(args.data);
       const response = await fetch(args.url, {
@@ -259,7 +281,7 @@ const toolHandlers = {
     }
   },
 
-  check_status: async (args) => {
+  check_status: async (args, context = {}) => {
     try {
       if (!isUrlAllowed(args.url)) {
         throw new Error(`URL not allowed. Permitted domains: ${allowedDomains.join(', ')}`);
@@ -267,6 +289,7 @@ const toolHandlers = {
 
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), 5000);
+      linkCancellation(controller, context.signal);
 
       const response = await fetch(args.url, {
         method: args.method || 'HEAD',
@@ -327,7 +350,7 @@ const toolHandlers = {
     }
   },
 
-  extract_text: async (args) => {
+  extract_text: async (args, context = {}) => {
     try {
       if (!isUrlAllowed(args.url)) {
         throw new Error(`URL not allowed. Permitted domains: ${allowedDomains.join(', ')}`);
@@ -335,6 +358,8 @@ const toolHandlers = {
 
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), 15000);
+      linkCancellation(controller, context.signal);
+      context.progress?.(0, 3, `Fetching ${args.url}`);
 
       const response = await fetch(args.url, {
         method: 'GET',
@@ -351,8 +376,10 @@ const toolHandlers = {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
 
+      context.progress?.(1, 3, 'Downloading page');
       const html = await response.text();
       
+      context.progress?.(2, 3, 'Extracting text');
       // Simple HTML to text conversion
       let text = html
         // Remove script and style elements
@@ -406,15 +433,55 @@ const toolHandlers = {
   }
 };
 
+// web://<host>/<path> resources are fetched over HTTPS, subject to the same domain list as the tools
+async function readResource(uri) {
+  const target = uri.replace(/^web:\/\//, 'https://');
+  if (!isUrlAllowed(target)) {
+    throw new Error(`URL not allowed. Permitted domains: ${allowedDomains.join(', ')}`);
+  }
+  
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 10000);
+  try {
+    const response = await fetch(target, {
+      headers: { 'User-Agent': 'MCP-Web-Agent/1.0' },
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      throw Object.assign(new Error(`${target} returned ${response.status} ${response.statusText}`), { status: response.status });
+    }
+    
+    const mimeType = (response.headers.get('content-type') || 'application/octet-stream').split(';')[0].trim();
+    return readResourceResult(uri, mimeType, Buffer.from(await response.arrayBuffer()));
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+async function handleResourceRead(msg) {
+  try {
+    const result = await readResource(msg.params.uri);
+    ws.send(encodeReply({ type: 'response', id: msg.id, result }));
+  } catch (error) {
+    ws.send(JSON.stringify({
+      type: 'error',
+      id: msg.id,
+      error: { code: error.status === 404 ? 'RESOURCE_NOT_FOUND' : 'READ_FAILED', message: error.message }
+    }));
+  }
+}
+
 function connect() {
-  ws = new WebSocket(url);
+  ws = new WebSocket(url, credentialOptions(agentId, process.env.AGENT_TOKEN));
 
   ws.on('open', () => {
-    console.log(`🌐 Web Agent connected`);
+    log.info(`🌐 Web Agent connected`);
+    reconnectDelay.connected();
     
     ws.send(JSON.stringify({
       type: 'register',
       from: agentId,
+      instanceId,
       capabilities: {
         tools,
         resources: [
@@ -428,6 +495,13 @@ function connect() {
             name: 'JSON Placeholder API',
             description: 'Fake REST API for testing'
           }
+        ],
+        resourceTemplates: [
+          {
+            uriTemplate: 'web://{host}/{path}',
+            name: 'Web Page',
+            description: 'Any page on an allowed domain, fetched over HTTPS'
+          }
         ]
       }
     }));
@@ -436,12 +510,29 @@ function connect() {
   ws.on('message', async (raw) => {
     try {
       const msg = JSON.parse(raw.toString());
-      console.log('WEB AGENT RECV:', msg);
+      log.debug('Received message', msg);
+
+      if (isShutdownNotice(msg)) {
+        log.info(`🌐 MCP server is shutting down, backing off before reconnecting`);
+        reconnectDelay.backOff(msg.params);
+        return;
+      }
 
       if (msg.type === 'registered') {
-        console.log('✅ Web Agent registered successfully');
-        console.log(`🌍 Available tools: ${tools.map(t => t.name).join(', ')}`);
-        console.log(`🔒 Allowed domains: ${allowedDomains.join(', ')}`);
+        log.info('✅ Web Agent registered successfully');
+        log.info(`🌍 Available tools: ${tools.map(t => t.name).join(', ')}`);
+        log.info(`🔒 Allowed domains: ${allowedDomains.join(', ')}`);
+        return;
+      }
+
+      if (msg.type === 'resources/read') {
+        return await handleResourceRead(msg);
+      }
+
+      if (msg.type === 'notifications/cancelled') {
+        if (cancelCall(msg.params.requestId, msg.params.reason)) {
+          log.info(`🛑 Cancelled ${msg.params.requestId}: ${msg.params.reason || 'no reason given'}`);
+        }
         return;
       }
 
@@ -457,10 +548,19 @@ function connect() {
           }));
         }
         
-        console.log(`🔧 Executing tool: ${toolName}`);
-        const result = await handler(args);
+        log.info(`🔧 Executing tool: ${toolName}`);
+        const context = beginCall(ws, msg);
+        let result;
+        try {
+          result = await handler(args, context);
+        } finally {
+          context.end();
+        }
+        
+        // The server stopped waiting when the call was cancelled, so don't reply
+        if (context.signal.aborted) return;
         
-        ws.send(JSON.stringify({
+        ws.send(encodeReply({
           type: 'response',
           id: msg.id,
           result,
@@ -468,7 +568,7 @@ function connect() {
         }));
       }
     } catch (error) {
-      console.error('Web Agent error:', error);
+      log.error('Web Agent error', error);
       ws.send(JSON.stringify({
         type: 'error',
         id: msg.id,
@@ -478,14 +578,15 @@ function connect() {
   });
 
   ws.on('close', () => {
-    console.log('🌐 Web Agent connection closed, reconnecting...');
-    setTimeout(connect, 1000);
+    const delayMs = reconnectDelay.next();
+    log.info(`🌐 Web Agent connection closed, reconnecting in ${delayMs}ms...`);
+    setTimeout(connect, delayMs);
   });
 
   ws.on('error', (error) => {
-    console.error('Web Agent error:', error);
+    log.error('Web Agent error', error);
   });
 }
 
-console.log('🌐 Starting Web Agent...');
+log.info('🌐 Starting Web Agent...');
 connect();
@@ -0,0 +1,524 @@
+// Live dashboard for the MCP hub.
+//
+// Follows the hub over its /events channel: a full `dashboard/state` on
+// connect and every couple of seconds, and `dashboard/event` messages in
+// between. Tools are called over the hub's MCP channel with forms generated
+// from their `inputSchema`, showing the agent's progress with a Cancel button.
+// Everything the hub sends is rendered as text, never as HTML. Credentials in
+// the page URL (?id=...&token=...) are passed on to both channels.
+
+const query = window.location.search;
+const MAX_ACTIVITY = 50;
+const MAX_RECONNECT_DELAY = 30000;
+
+const state = { server: null, agents: [], tools: [], stats: [], calls: [], workflows: [] };
+const activity = []; // newest first
+let reconnectDelay = 1000;
+let renderedToolList = null;
+let renderedSchema; // undefined until the first render, so the form is always built once
+let callChannel = null; // promise of the MCP channel socket, opened for the first tool call
+let callCounter = 0;
+let activeCall = null; // { id, tool } while a tool call is in flight
+
+function el(tag, props = {}, ...children) {
+  const node = document.createElement(tag);
+  Object.entries(props).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === false) return;
+    if (key === 'className') node.className = value;
+    else if (key.startsWith('on')) node.addEventListener(key.slice(2), value);
+    else node.setAttribute(key, value === true ? '' : value);
+  });
+  children.flat().forEach(child => {
+    if (child !== undefined && child !== null) node.append(child instanceof Node ? child : String(child));
+  });
+  return node;
+}
+
+function statusBadge(status) {
+  return el('span', { className: `status status-${status}` }, status);
+}
+
+function formatDuration(ms) {
+  if (ms < 1000) return `${Math.round(ms)} ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)} s`;
+  return `${Math.floor(ms / 60000)} min ${Math.round((ms % 60000) / 1000)} s`;
+}
+
+function formatTime(iso) {
+  return new Date(iso).toLocaleTimeString();
+}
+
+// --- Event channel ---
+
+function socketUrl(path) {
+  const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+  return `${protocol}//${window.location.host}${path}${query}`;
+}
+
+function connect() {
+  const ws = new WebSocket(socketUrl('/events'));
+
+  ws.onopen = () => {
+    reconnectDelay = 1000;
+    setConnection('live', 'Live');
+  };
+
+  ws.onmessage = (event) => {
+    const msg = JSON.parse(event.data);
+    if (msg.type === 'dashboard/state') {
+      Object.assign(state, msg.params);
+    } else if (msg.type === 'dashboard/event') {
+      applyEvent(msg.params);
+    }
+    render();
+  };
+
+  ws.onclose = (event) => {
+    // Retrying with the same credentials won't help
+    if (event.code === 4401 || event.code === 4403) {
+      setConnection('denied', event.code === 4401 ? 'Sign in with ?id=...&token=...' : 'Not allowed to view the dashboard');
+      return;
+    }
+
+    setConnection('connecting', `Reconnecting in ${Math.round(reconnectDelay / 1000)} s…`);
+    setTimeout(connect, reconnectDelay);
+    reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY);
+  };
+}
+
+function setConnection(kind, text) {
+  const badge = document.getElementById('connection');
+  badge.className = `connection ${kind}`;
+  badge.textContent = text;
+}
+
+function applyEvent(event) {
+  const { kind, at, ...details } = event;
+
+  switch (kind) {
+    case 'agent-connected':
+      addActivity(at, `${details.instanceId} connected`);
+      break;
+    case 'agent-disconnected':
+      state.agents = state.agents.filter(agent => agent.instanceId !== details.instanceId);
+      addActivity(at, `${details.instanceId} disconnected`, 'error');
+      break;
+    case 'call-started':
+      state.calls.push(details);
+      break;
+    case 'call-settled':
+      state.calls = state.calls.filter(call => call.callId !== details.callId);
+      break;
+    case 'call-finished':
+      addActivity(at, `${details.tool} for ${details.caller}: ${details.outcome} in ${formatDuration(details.durationMs)}`,
+        details.outcome === 'success' ? null : 'error');
+      break;
+    case 'workflow-updated': {
+      const index = state.workflows.findIndex(workflow => workflow.workflowId === details.workflowId);
+      if (index === -1) {
+        state.workflows.push(details);
+        addActivity(at, `Workflow ${details.workflowId} started by ${details.from}`);
+      } else {
+        state.workflows[index] = details;
+        if (details.status === 'completed') addActivity(at, `Workflow ${details.workflowId} completed`);
+        if (details.status === 'failed') addActivity(at, `Workflow ${details.workflowId} failed`, 'error');
+      }
+      break;
+    }
+  }
+}
+
+function addActivity(at, text, level = null) {
+  activity.unshift({ at, text, level });
+  activity.splice(MAX_ACTIVITY);
+}
+
+// --- Rendering ---
+
+function render() {
+  const running = state.workflows.filter(workflow => workflow.status === 'running');
+
+  if (state.server) {
+    const { name, version, hubId, draining } = state.server;
+    document.getElementById('server-info').textContent = `${name} ${version}${hubId ? ` · hub ${hubId}` : ''}`;
+    if (draining) setConnection('draining', 'Hub shutting down');
+  }
+
+  document.getElementById('count-agents').textContent = state.agents.length;
+  document.getElementById('count-tools').textContent = state.tools.length;
+  document.getElementById('count-calls').textContent = state.calls.length;
+  document.getElementById('count-workflows').textContent = running.length;
+  document.getElementById('count-connections').textContent = state.server?.connections ?? 0;
+
+  renderAgents();
+  renderTools();
+  renderCalls();
+  renderWorkflows();
+  renderActivity();
+  renderToolPicker();
+}
+
+function renderAgents() {
+  document.getElementById('agents').replaceChildren(...state.agents.map(agent => el('tr', {},
+    el('td', {}, el('code', {}, agent.instanceId)),
+    el('td', {}, agent.peer ? `${agent.agent} (peer hub)` : agent.agent),
+    el('td', {}, statusBadge(agent.status)),
+    el('td', { className: 'number' }, agent.tools),
+    el('td', {}, formatTime(agent.registeredAt)),
+    el('td', {}, formatTime(agent.lastSeen))
+  )));
+  document.getElementById('agents-empty').hidden = state.agents.length > 0;
+}
+
+function renderTools() {
+  const stats = new Map(state.stats.map(entry => [entry.tool, entry]));
+  const rows = state.tools.map(tool => {
+    const entry = stats.get(tool.qualifiedName);
+    stats.delete(tool.qualifiedName);
+    return toolRow(tool.qualifiedName, tool.provider, statusBadge(tool.status), entry);
+  });
+  // Tools called in the last minute that are no longer registered
+  stats.forEach((entry, name) => rows.push(toolRow(name, '', statusBadge('offline'), entry)));
+
+  document.getElementById('tools').replaceChildren(...rows);
+}
+
+function toolRow(name, provider, status, entry) {
+  return el('tr', {},
+    el('td', {}, el('code', {}, name)),
+    el('td', {}, provider),
+    el('td', {}, status),
+    el('td', { className: 'number' }, entry ? entry.callsPerMinute : 0),
+    el('td', { className: 'number' }, entry ? entry.errors : 0),
+    el('td', { className: 'number' }, entry ? formatDuration(entry.avgMs) : '–'),
+    el('td', { className: 'number' }, entry ? formatDuration(entry.p95Ms) : '–')
+  );
+}
+
+function renderCalls() {
+  const now = Date.now();
+  document.getElementById('calls').replaceChildren(...state.calls.map(call => el('tr', {},
+    el('td', {}, el('code', {}, call.callId)),
+    el('td', {}, call.target ? `${call.method} ${call.target}` : call.method),
+    el('td', {}, call.workflowId ? `${call.caller} (${call.workflowId})` : call.caller),
+    el('td', {}, call.agent),
+    el('td', { className: 'number' }, formatDuration(now - Date.parse(call.startedAt)))
+  )));
+}
+
+function renderWorkflows() {
+  const rows = state.workflows.slice().reverse().map(workflow => {
+    const percent = workflow.totalSteps > 0 ? Math.round(workflow.completedSteps / workflow.totalSteps * 100) : 100;
+    return el('tr', {},
+      el('td', {}, el('code', {}, workflow.workflowId)),
+      el('td', {}, workflow.from),
+      el('td', {},
+        el('span', { className: 'progress' }, el('span', { className: 'progress-bar', style: `width: ${percent}%` })),
+        `${workflow.completedSteps}/${workflow.totalSteps}`,
+        workflow.status === 'running' && workflow.currentTool ? ` · ${workflow.currentTool}` : null
+      ),
+      el('td', {}, statusBadge(workflow.status))
+    );
+  });
+  document.getElementById('workflows').replaceChildren(...rows);
+}
+
+function renderActivity() {
+  document.getElementById('activity').replaceChildren(...activity.map(entry => el('li', {},
+    el('time', {}, formatTime(entry.at)),
+    el('span', { className: entry.level }, entry.text)
+  )));
+}
+
+// --- Try a tool ---
+
+// The picker and form are only rebuilt when the tool list or the selected
+// tool's schema changes, so refreshes don't wipe what's been typed
+function renderToolPicker() {
+  const select = document.getElementById('tool-select');
+  const names = state.tools.map(tool => tool.qualifiedName).sort();
+  const toolList = JSON.stringify(names);
+
+  if (toolList !== renderedToolList) {
+    const selected = select.value;
+    select.replaceChildren(...names.map(name => {
+      const tool = state.tools.find(candidate => candidate.qualifiedName === name);
+      return el('option', { value: name }, tool.name === name ? name : `${tool.name} (${tool.provider})`);
+    }));
+    if (names.includes(selected)) select.value = selected;
+    renderedToolList = toolList;
+  }
+
+  const tool = selectedTool();
+  const schema = tool ? JSON.stringify([tool.qualifiedName, tool.inputSchema]) : null;
+  if (schema !== renderedSchema) {
+    renderToolForm(tool);
+    renderedSchema = schema;
+  }
+}
+
+function selectedTool() {
+  const name = document.getElementById('tool-select').value;
+  return state.tools.find(tool => tool.qualifiedName === name) || null;
+}
+
+function renderToolForm(tool) {
+  document.getElementById('tool-description').textContent = tool ? tool.description || '' : 'No tools registered yet.';
+  document.getElementById('tool-submit').disabled = !tool || Boolean(activeCall);
+  if (!tool) return document.getElementById('tool-fields').replaceChildren();
+
+  const schema = tool.inputSchema || {};
+  const properties = schema.properties || {};
+  const required = new Set(schema.required || []);
+  const names = Object.keys(properties);
+
+  // Schemas without properties take the arguments as one JSON object
+  const fields = names.length > 0
+    ? names.map(name => argumentField(name, properties[name], required.has(name)))
+    : [argumentField('arguments', { type: 'object', description: 'Arguments as a JSON object' }, false, true)];
+
+  document.getElementById('tool-fields').replaceChildren(...fields);
+}
+
+function argumentField(name, property, isRequired, isRaw = false) {
+  const kind = isRaw ? 'raw' : fieldKind(property);
+  const input = fieldInput(kind, property, isRequired);
+  input.dataset.argument = name;
+  input.dataset.kind = kind;
+  input.dataset.required = isRequired;
+
+  return el('label', { className: 'field' },
+    el('span', { className: 'field-name' }, name, isRequired ? el('span', { className: 'required' }, ' *') : null),
+    input,
+    property.description ? el('p', { className: 'hint' }, property.description) : null
+  );
+}
+
+function fieldKind(property) {
+  if (Array.isArray(property.enum)) return 'enum';
+  if (property.type === 'array' && Array.isArray(property.items?.enum)) return 'enum-list';
+  if (['string', 'number', 'integer', 'boolean'].includes(property.type)) return property.type;
+  return 'json';
+}
+
+// Enum values are JSON-encoded in option values so numbers stay numbers
+function fieldInput(kind, property, isRequired) {
+  const hasDefault = property.default !== undefined;
+
+  switch (kind) {
+    case 'enum':
+      return el('select', {},
+        isRequired ? null : el('option', { value: '' }, '(not set)'),
+        property.enum.map(value => el('option', {
+          value: JSON.stringify(value),
+          selected: hasDefault && value === property.default
+        }, String(value)))
+      );
+
+    case 'enum-list':
+      return el('select', { multiple: true },
+        property.items.enum.map(value => el('option', {
+          value: JSON.stringify(value),
+          selected: hasDefault && Array.isArray(property.default) && property.default.includes(value)
+        }, String(value)))
+      );
+
+    case 'boolean':
+      return el('select', {},
+        isRequired ? null : el('option', { value: '' }, '(not set)'),
+        el('option', { value: 'true', selected: property.default === true }, 'true'),
+        el('option', { value: 'false', selected: property.default === false }, 'false')
+      );
+
+    case 'number':
+    case 'integer':
+      return el('input', {
+        type: 'number',
+        step: kind === 'integer' ? 1 : 'any',
+        min: property.minimum,
+        max: property.maximum,
+        value: hasDefault ? property.default : null,
+        required: isRequired
+      });
+
+    case 'string':
+      return el('input', {
+        type: property.format === 'uri' ? 'url' : 'text',
+        minlength: property.minLength,
+        maxlength: property.maxLength,
+        value: hasDefault ? property.default : null,
+        required: isRequired
+      });
+
+    default: {
+      const textarea = el('textarea', {
+        placeholder: property.type === 'array' ? '[ ... ]' : '{ ... }',
+        required: isRequired
+      });
+      if (hasDefault) textarea.value = JSON.stringify(property.default, null, 2);
+      return textarea;
+    }
+  }
+}
+
+// Unset optional fields are left out so the hub can apply schema defaults
+function collectArguments() {
+  const args = {};
+
+  document.querySelectorAll('#tool-fields [data-argument]').forEach(input => {
+    const { argument, kind } = input.dataset;
+    const isRequired = input.dataset.required === 'true';
+
+    if (kind === 'enum-list') {
+      const values = Array.from(input.selectedOptions, option => JSON.parse(option.value));
+      if (values.length > 0 || isRequired) args[argument] = values;
+      return;
+    }
+
+    const value = input.value.trim();
+    if (value === '' && !isRequired) return;
+
+    switch (kind) {
+      case 'enum':
+        args[argument] = JSON.parse(value);
+        break;
+      case 'boolean':
+        args[argument] = value === 'true';
+        break;
+      case 'number':
+      case 'integer':
+        args[argument] = Number(value);
+        break;
+      case 'string':
+        args[argument] = input.value;
+        break;
+      case 'raw':
+        Object.assign(args, parseJsonField(argument, value || '{}'));
+        break;
+      default:
+        args[argument] = parseJsonField(argument, value);
+    }
+  });
+
+  return args;
+}
+
+function parseJsonField(name, value) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`${name} is not valid JSON: ${error.message}`);
+  }
+}
+
+// Tool calls use the legacy envelope on the hub's main channel, so the agent's
+// progress notifications reach the page and the call can be cancelled
+function openCallChannel() {
+  if (callChannel) return callChannel;
+
+  callChannel = new Promise((resolve, reject) => {
+    const ws = new WebSocket(socketUrl('/'));
+    ws.onopen = () => resolve(ws);
+    ws.onmessage = (event) => handleCallMessage(JSON.parse(event.data));
+    ws.onclose = (event) => {
+      callChannel = null;
+      reject(new Error('Could not connect to the hub'));
+      if (activeCall) {
+        finishCall(false, 'Connection lost', { error: { code: 'DISCONNECTED', message: event.reason || `Closed with code ${event.code}` } });
+      }
+    };
+  });
+  return callChannel;
+}
+
+function handleCallMessage(msg) {
+  if (!activeCall) return;
+
+  if (msg.type === 'notifications/progress' && msg.params?.progressToken === activeCall.id) {
+    return showProgress(msg.params);
+  }
+  if ((msg.type === 'response' || msg.type === 'error') && msg.id === activeCall.id) {
+    const ok = msg.type === 'response';
+    finishCall(ok, ok ? `${activeCall.tool.name} returned` : msg.error?.code || 'Error', ok ? { result: msg.result } : { error: msg.error });
+  }
+}
+
+async function callTool(event) {
+  event.preventDefault();
+  const tool = selectedTool();
+  if (!tool || activeCall) return;
+
+  let args;
+  try {
+    args = collectArguments();
+  } catch (error) {
+    return showResult(false, 'Invalid input', { error: error.message });
+  }
+
+  const id = `dashboard-call-${++callCounter}`;
+  activeCall = { id, tool };
+  document.getElementById('tool-submit').disabled = true;
+  document.getElementById('tool-result').hidden = true;
+  showProgress({ message: `Calling ${tool.name}…` });
+
+  try {
+    const ws = await openCallChannel();
+    ws.send(JSON.stringify({
+      type: 'tools/call',
+      id,
+      params: { name: tool.qualifiedName, arguments: args, _meta: { progressToken: id } }
+    }));
+  } catch (error) {
+    finishCall(false, 'Request failed', { error: error.message });
+  }
+}
+
+// The hub doesn't answer a cancelled call, so it ends here
+async function cancelCall() {
+  if (!activeCall) return;
+  const { id, tool } = activeCall;
+
+  try {
+    const ws = await openCallChannel();
+    ws.send(JSON.stringify({ type: 'notifications/cancelled', params: { requestId: id, reason: 'Cancelled from the dashboard' } }));
+  } catch {
+    // The connection is gone, which cancels the call as well
+  }
+  finishCall(false, 'Cancelled', { error: { code: 'CANCELLED', message: `${tool.name} was cancelled` } });
+}
+
+function showProgress({ progress, total, message }) {
+  document.getElementById('tool-progress').hidden = false;
+  document.getElementById('tool-progress-text').textContent =
+    message || (progress !== undefined ? `${progress}${total ? ` of ${total}` : ''}` : 'Working…');
+
+  const bar = document.getElementById('tool-progress-bar');
+  bar.style.width = total ? `${Math.min(100, Math.round(progress / total * 100))}%` : '0';
+}
+
+function finishCall(ok, status, body) {
+  activeCall = null;
+  document.getElementById('tool-progress').hidden = true;
+  document.getElementById('tool-submit').disabled = !selectedTool();
+  showResult(ok, status, body);
+}
+
+function showResult(ok, status, body) {
+  const container = document.getElementById('tool-result');
+  container.hidden = false;
+  container.className = ok ? 'result' : 'result error';
+  document.getElementById('tool-result-status').textContent = status;
+  document.getElementById('tool-result-output').textContent = JSON.stringify(body, null, 2);
+
+  // Results too large to return inline are downloaded separately
+  const link = document.getElementById('tool-result-link');
+  const uri = body?.result?.resultRef?.uri;
+  link.hidden = !uri;
+  if (uri) link.href = `/api/results/${encodeURIComponent(uri.slice('result://'.length))}${query}`;
+}
+
+document.getElementById('tool-select').addEventListener('change', renderToolPicker);
+document.getElementById('tool-form').addEventListener('submit', callTool);
+document.getElementById('tool-cancel').addEventListener('click', cancelCall);
+
+connect();
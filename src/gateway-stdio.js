@@ -0,0 +1,247 @@
+import WebSocket from 'ws';
+import readline from 'readline';
+import dotenv from 'dotenv';
+import { JSONRPC_VERSION, negotiateProtocolVersion } from './lib/jsonrpc.js';
+import { credentialOptions } from './lib/auth.js';
+import { createLogger } from './lib/logger.js';
+import { createReconnectDelay, isShutdownNotice } from './lib/reconnect.js';
+
+// Load environment variables (quietly: stdout carries the MCP protocol)
+dotenv.config({ quiet: true });
+
+const url = process.env.SERVER_URL || 'ws://localhost:8080';
+const GATEWAY_INFO = { name: 'mcp-prototype-gateway', version: '1.0.0' };
+const clientId = process.env.MCP_CLIENT_ID || GATEWAY_INFO.name;
+
+// stdout is reserved for protocol messages, so all diagnostics go to stderr
+const log = createLogger('gateway', { stream: process.stderr });
+
+let ws;
+let hubReady = false;
+let hubConnecting = false;
+let hubConnectedBefore = false;
+let hubRequestCounter = 0;
+const reconnectDelay = createReconnectDelay(1000);
+const pendingHubRequests = new Map(); // hubRequestId -> { stdioId, method }
+const queuedRequests = []; // requests received while the hub handshake is in progress
+
+// Write a JSON-RPC message to the MCP client on stdout
+function reply(msg) {
+  process.stdout.write(JSON.stringify({ jsonrpc: JSONRPC_VERSION, ...msg }) + '\n');
+}
+
+function replyError(id, code, message) {
+  reply({ id, error: { code, message } });
+}
+
+// Forward a request to the hub, remembering which stdio request it answers
+function forwardToHub(stdioId, method, params) {
+  if (!hubReady) {
+    if (hubConnecting) return queuedRequests.push([stdioId, method, params]);
+    return replyError(stdioId, -32000, `MCP hub unavailable at ${url}`);
+  }
+
+  const hubId = `gw-${++hubRequestCounter}`;
+  pendingHubRequests.set(hubId, { stdioId, method });
+  ws.send(JSON.stringify({ jsonrpc: JSONRPC_VERSION, id: hubId, method, params }));
+}
+
+// Handlers for requests from the MCP client on stdin
+const stdioHandlers = {
+  initialize: (msg) => {
+    reply({
+      id: msg.id,
+      result: {
+        protocolVersion: negotiateProtocolVersion(msg.params?.protocolVersion),
+        capabilities: { tools: { listChanged: true }, resources: {}, prompts: { listChanged: true } },
+        serverInfo: GATEWAY_INFO
+      }
+    });
+  },
+
+  ping: (msg) => reply({ id: msg.id, result: {} }),
+
+  'tools/list': (msg) => forwardToHub(msg.id, 'tools/list', {}),
+
+  'tools/call': (msg) => forwardToHub(msg.id, 'tools/call', {
+    name: msg.params?.name,
+    arguments: msg.params?.arguments || {},
+    ...(msg.params?._meta && { _meta: msg.params._meta })
+  }),
+
+  // Hub resources, including the result:// references oversized tool results come back as
+  'resources/list': (msg) => forwardToHub(msg.id, 'resources/list', {}),
+
+  'resources/read': (msg) => forwardToHub(msg.id, 'resources/read', { uri: msg.params?.uri }),
+
+  'prompts/list': (msg) => forwardToHub(msg.id, 'prompts/list', {}),
+
+  'prompts/get': (msg) => forwardToHub(msg.id, 'prompts/get', {
+    name: msg.params?.name,
+    arguments: msg.params?.arguments || {}
+  })
+};
+
+// The client gave up on a request: stop waiting for it and let the hub cancel it
+function cancelHubRequest({ requestId, reason } = {}) {
+  pendingHubRequests.forEach((pending, hubId) => {
+    if (pending.stdioId !== requestId) return;
+    pendingHubRequests.delete(hubId);
+    if (hubReady) {
+      ws.send(JSON.stringify({ jsonrpc: JSONRPC_VERSION, method: 'notifications/cancelled', params: { requestId: hubId, reason } }));
+    }
+  });
+}
+
+// Present hub tools and prompts as plain MCP ones, dropping hub-only fields
+function toMcpTool({ name, description, inputSchema }) {
+  return { name, description, inputSchema: inputSchema || { type: 'object' } };
+}
+
+function toMcpPrompt({ name, description, arguments: promptArguments }) {
+  return { name, description, arguments: promptArguments || [] };
+}
+
+// Hub notifications the MCP client understands
+const FORWARDED_NOTIFICATIONS = new Set(['notifications/tools/list_changed', 'notifications/prompts/list_changed']);
+
+function handleHubMessage(msg) {
+  if (FORWARDED_NOTIFICATIONS.has(msg.method)) {
+    reply({ method: msg.method });
+    return;
+  }
+
+  // Progress tokens are the client's own, so they pass through unchanged
+  if (msg.method === 'notifications/progress') {
+    reply({ method: msg.method, params: msg.params });
+    return;
+  }
+
+  const pending = pendingHubRequests.get(msg.id);
+  if (!pending) return;
+  pendingHubRequests.delete(msg.id);
+
+  if (msg.error) {
+    return reply({ id: pending.stdioId, error: msg.error });
+  }
+
+  let result = msg.result;
+  if (pending.method === 'tools/list') result = { tools: (msg.result?.tools || []).map(toMcpTool) };
+  if (pending.method === 'prompts/list') result = { prompts: (msg.result?.prompts || []).map(toMcpPrompt) };
+  reply({ id: pending.stdioId, result });
+}
+
+function connect() {
+  hubConnecting = true;
+  ws = new WebSocket(url, credentialOptions(clientId, process.env.MCP_CLIENT_TOKEN));
+
+  ws.on('open', () => {
+    log.info(`Connected to MCP hub at ${url}`);
+    reconnectDelay.connected();
+
+    ws.send(JSON.stringify({
+      jsonrpc: JSONRPC_VERSION,
+      id: 'gw-initialize',
+      method: 'initialize',
+      params: {
+        protocolVersion: negotiateProtocolVersion(),
+        capabilities: {},
+        clientInfo: GATEWAY_INFO
+      }
+    }));
+  });
+
+  ws.on('message', (raw) => {
+    try {
+      const msg = JSON.parse(raw.toString());
+
+      if (isShutdownNotice(msg)) {
+        log.info('Hub is shutting down, backing off before reconnecting');
+        reconnectDelay.backOff(msg.params);
+        return;
+      }
+
+      if (msg.id === 'gw-initialize') {
+        ws.send(JSON.stringify({ jsonrpc: JSONRPC_VERSION, method: 'notifications/initialized' }));
+        hubReady = true;
+        hubConnecting = false;
+
+        // The hub's tools and prompts may have changed while we were disconnected
+        if (hubConnectedBefore) {
+          FORWARDED_NOTIFICATIONS.forEach(method => reply({ method }));
+        }
+        hubConnectedBefore = true;
+
+        queuedRequests.splice(0).forEach(args => forwardToHub(...args));
+        return;
+      }
+
+      handleHubMessage(msg);
+    } catch (error) {
+      log.error('Failed to handle hub message', error);
+    }
+  });
+
+  ws.on('close', (code, reason) => {
+    hubReady = false;
+    hubConnecting = false;
+
+    // Nothing in flight will be answered by the old connection
+    pendingHubRequests.forEach(({ stdioId }) => {
+      replyError(stdioId, -32000, 'Connection to MCP hub lost');
+    });
+    pendingHubRequests.clear();
+    queuedRequests.splice(0).forEach(([stdioId]) => {
+      replyError(stdioId, -32000, `MCP hub unavailable at ${url}`);
+    });
+
+    const delayMs = reconnectDelay.next();
+    if (code === 4401) {
+      log.error(`Hub rejected our credentials (${reason}), check MCP_CLIENT_ID and MCP_CLIENT_TOKEN`);
+    } else {
+      log.info(`Hub connection closed, reconnecting in ${delayMs}ms...`);
+    }
+    setTimeout(connect, delayMs);
+  });
+
+  ws.on('error', (error) => {
+    log.warn(`Hub connection error: ${error.message}`);
+  });
+}
+
+const stdin = readline.createInterface({ input: process.stdin });
+
+stdin.on('line', (line) => {
+  if (!line.trim()) return;
+
+  let msg;
+  try {
+    msg = JSON.parse(line);
+  } catch {
+    return replyError(null, -32700, 'Parse error');
+  }
+
+  // Valid JSON that isn't a request object (null, numbers, arrays) has no id to answer
+  if (msg === null || typeof msg !== 'object' || Array.isArray(msg)) {
+    return replyError(null, -32600, 'Invalid Request');
+  }
+
+  // Notifications need no answer; only cancellations are acted on
+  if (msg.id === undefined) {
+    if (msg.method === 'notifications/cancelled') cancelHubRequest(msg.params);
+    return;
+  }
+
+  // Own properties only, so names like valueOf or __proto__ are unknown methods
+  const handler = Object.hasOwn(stdioHandlers, msg.method) ? stdioHandlers[msg.method] : null;
+  if (!handler) {
+    return replyError(msg.id, -32601, `Method not found: ${msg.method}`);
+  }
+  handler(msg);
+});
+
+// The MCP client owns our lifetime: exit when it closes stdin
+stdin.on('close', () => process.exit(0));
+
+log.info('Starting stdio gateway...');
+connect();
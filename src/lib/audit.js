@@ -0,0 +1,95 @@
+// Append-only audit trail of tool calls, resource reads and prompt renders.
+//
+// One JSON object per line, written when the call is over:
+//
+//   { "timestamp": "2025-09-01T10:00:00.000Z", "caller": "web-client", "action": "tools/call",
+//     "tool": "file-agent/write_file", "agent": "file-agent-4242",
+//     "arguments": { "path": "output/notes.txt", "content": { "sha256": "9f86d0...", "length": 5120 } },
+//     "outcome": "success", "errorCode": null, "durationMs": 12 }
+//
+// Arguments are recorded so the trail shows what was done (which file was
+// written, which URL fetched), but credential-like values are redacted and
+// payloads (file contents, prompts, long text) are replaced by their SHA-256.
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import crypto from 'crypto';
+import { createLogger } from './logger.js';
+
+// Strings up to this length are kept, unless their argument name says they're a payload
+const MAX_CLEAR_LENGTH = 200;
+const REDACTED_NAMES = /token|key|auth|credential|pass/i;
+const PAYLOAD_NAMES = /^(content|text|data|body|prompt|question|system_message)$/i;
+
+/**
+ * Open (or create) an audit log for appending. `record(entry)` writes one line;
+ * entries without a `timestamp` are stamped with the current time.
+ */
+export function openAuditLog(filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const log = createLogger('audit');
+  const stream = fs.createWriteStream(filePath, { flags: 'a' });
+  stream.on('error', (error) => log.error(`Audit log ${filePath} failed`, error));
+
+  return {
+    path: filePath,
+    record(entry) {
+      stream.write(JSON.stringify({ timestamp: new Date().toISOString(), ...entry }) + '\n');
+    }
+  };
+}
+
+/**
+ * Copy of a call's arguments that is safe to keep: credentials redacted,
+ * payloads and long strings replaced by `{ sha256, length }`.
+ */
+export function redactArguments(value, name) {
+  if (name !== undefined && REDACTED_NAMES.test(name)) return '[REDACTED]';
+
+  if (typeof value === 'string') {
+    return value.length > MAX_CLEAR_LENGTH || (name !== undefined && PAYLOAD_NAMES.test(name))
+      ? { sha256: crypto.createHash('sha256').update(value).digest('hex'), length: value.length }
+      : value;
+  }
+  if (Array.isArray(value)) return value.map(item => redactArguments(item));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactArguments(item, key)]));
+  }
+  return value;
+}
+
+/**
+ * Read audit entries matching `{ tool, client, since, until }`, newest last.
+ * `tool` matches short or qualified names; `since`/`until` are anything
+ * `Date.parse` accepts. Only the last `limit` matches are returned.
+ */
+export async function queryAuditLog(filePath, { tool, client, since, until, limit = 100 } = {}) {
+  if (!fs.existsSync(filePath)) return [];
+
+  const from = since ? Date.parse(since) : -Infinity;
+  const to = until ? Date.parse(until) : Infinity;
+  const entries = [];
+
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue; // a torn last line from a crash
+    }
+
+    const time = Date.parse(entry.timestamp);
+    if (time < from || time > to) continue;
+    if (client && entry.caller !== client) continue;
+    if (tool && entry.tool !== tool && !entry.tool?.endsWith(`/${tool}`)) continue;
+
+    entries.push(entry);
+    if (entries.length > limit) entries.shift();
+  }
+
+  return entries;
+}
@@ -0,0 +1,77 @@
+// Connection authentication for the MCP hub.
+//
+// Identities and their shared tokens live in a local JSON file:
+//   { "agents": { "<agentId>": "<token>" }, "clients": { "<clientId>": "<token>" } }
+// Connections present `id:token` during the WebSocket handshake, either as
+// HTTP Basic auth or as `?id=...&token=...` query parameters (for browsers,
+// which can't set headers on WebSocket requests).
+
+import fs from 'fs';
+import crypto from 'crypto';
+
+/**
+ * Load the credentials file. Returns null when it doesn't exist, which
+ * leaves authentication disabled.
+ */
+export function loadCredentials(configPath) {
+  if (!fs.existsSync(configPath)) return null;
+
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  return {
+    agents: new Map(Object.entries(config.agents || {})),
+    clients: new Map(Object.entries(config.clients || {}))
+  };
+}
+
+/**
+ * Verify the credentials presented on a WebSocket upgrade request.
+ * Returns `{ identity: { kind, id } }` on success or `{ error: { code, message } }`.
+ */
+export function authenticate(req, credentials) {
+  const presented = readCredentials(req);
+  if (!presented) {
+    return { error: { code: 'UNAUTHENTICATED', message: 'Credentials required' } };
+  }
+
+  const { id, token } = presented;
+  for (const kind of ['agents', 'clients']) {
+    const expected = credentials[kind].get(id);
+    if (expected !== undefined && tokensMatch(expected, token)) {
+      return { identity: { kind: kind === 'agents' ? 'agent' : 'client', id } };
+    }
+  }
+
+  return { error: { code: 'INVALID_CREDENTIALS', message: `Invalid credentials for ${id}` } };
+}
+
+/**
+ * WebSocket client options carrying `id:token` credentials, for agents and
+ * gateways connecting to the hub. Empty when no token is configured.
+ */
+export function credentialOptions(id, token) {
+  return token ? { auth: `${id}:${token}` } : {};
+}
+
+function readCredentials(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Basic ')) {
+    const decoded = Buffer.from(header.slice(6), 'base64').toString('utf-8');
+    const separator = decoded.indexOf(':');
+    if (separator > 0) {
+      return { id: decoded.slice(0, separator), token: decoded.slice(separator + 1) };
+    }
+  }
+
+  const query = new URL(req.url, 'http://localhost').searchParams;
+  if (query.get('id') && query.get('token')) {
+    return { id: query.get('id'), token: query.get('token') };
+  }
+
+  return null;
+}
+
+// Constant-time comparison; hashing first makes the lengths equal
+function tokensMatch(expected, presented) {
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(expected), digest(presented));
+}
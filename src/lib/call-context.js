@@ -0,0 +1,43 @@
+// Per-call context for agent tool handlers.
+//
+// Handlers receive `(args, context)` where `context.signal` aborts when the
+// caller cancels the call (`notifications/cancelled`), and `context.progress()`
+// reports progress against the progress token the server forwarded, if any.
+
+// Request ID -> AbortController for calls this agent is still working on
+const inFlight = new Map();
+
+/**
+ * Start tracking a `tools/call` request. Call `end()` once the handler settles.
+ */
+export function beginCall(ws, msg) {
+  const controller = new AbortController();
+  const progressToken = msg.params?._meta?.progressToken;
+  inFlight.set(msg.id, controller);
+
+  return {
+    signal: controller.signal,
+    progress(progress, total, message) {
+      if (progressToken === undefined || controller.signal.aborted) return;
+      ws.send(JSON.stringify({
+        type: 'notifications/progress',
+        params: { progressToken, progress, total, message }
+      }));
+    },
+    end() {
+      inFlight.delete(msg.id);
+    }
+  };
+}
+
+/**
+ * Abort an in-flight call. Returns false if the call already finished.
+ */
+export function cancelCall(requestId, reason) {
+  const controller = inFlight.get(requestId);
+  if (!controller) return false;
+
+  controller.abort(new Error(reason || 'Cancelled by caller'));
+  inFlight.delete(requestId);
+  return true;
+}
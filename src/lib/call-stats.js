@@ -0,0 +1,54 @@
+// Rolling per-tool call statistics for the live dashboard.
+//
+// Prometheus metrics (/metrics) are cumulative and meant to be scraped; the
+// dashboard wants "right now": calls per minute, errors and latency over the
+// last `windowMs`, per qualified tool name:
+//
+//   { tool: "calculator-agent/calculate", calls: 12, errors: 1, callsPerMinute: 12, avgMs: 8, p95Ms: 21 }
+
+// Oldest samples are dropped past this many, whatever their age
+const MAX_SAMPLES = 10000;
+
+/**
+ * Keep call samples for `windowMs`. `record(tool, durationMs, errorCode)` adds
+ * one when a call ends; `summary()` returns the current figures per tool.
+ */
+export function createCallStats({ windowMs = 60000 } = {}) {
+  const samples = []; // { at, tool, durationMs, errorCode }, oldest first
+
+  function prune(now) {
+    while (samples.length > 0 && (samples[0].at <= now - windowMs || samples.length > MAX_SAMPLES)) {
+      samples.shift();
+    }
+  }
+
+  return {
+    record(tool, durationMs, errorCode = null) {
+      const now = Date.now();
+      samples.push({ at: now, tool, durationMs, errorCode });
+      prune(now);
+    },
+
+    summary() {
+      prune(Date.now());
+
+      const byTool = new Map();
+      samples.forEach(sample => {
+        if (!byTool.has(sample.tool)) byTool.set(sample.tool, []);
+        byTool.get(sample.tool).push(sample);
+      });
+
+      return Array.from(byTool, ([tool, toolSamples]) => {
+        const durations = toolSamples.map(sample => sample.durationMs).sort((a, b) => a - b);
+        return {
+          tool,
+          calls: toolSamples.length,
+          errors: toolSamples.filter(sample => sample.errorCode).length,
+          callsPerMinute: Math.round(toolSamples.length * 60000 / windowMs * 10) / 10,
+          avgMs: Math.round(durations.reduce((sum, ms) => sum + ms, 0) / durations.length),
+          p95Ms: durations[Math.min(durations.length - 1, Math.floor(durations.length * 0.95))]
+        };
+      });
+    }
+  };
+}
@@ -0,0 +1,113 @@
+// Federation between MCP hubs.
+//
+// A hub dials the peers it imports tools from, says hello with its hub ID and
+// registers the peer's shared tools as proxied tools of a pseudo-agent named
+// after the peer. Both sides list each other in a local peers file:
+//
+//   {
+//     "hubId": "it-hub",
+//     "peers": [
+//       { "id": "library-hub", "url": "ws://library-hub:8080", "token": "...", "import": ["**"] },
+//       { "id": "research-hub", "share": ["calculate", "web-agent/*"] }
+//     ]
+//   }
+//
+// `url` (and the `token` this hub presents as `hubId`) makes this hub dial the
+// peer; peers without one may only dial in. `share` lists the tools a peer may
+// see and call here (nothing by default), `import` the peer's tools accepted
+// from it (everything by default). Both take short or qualified tool names and
+// the same globs as policy rules.
+
+import fs from 'fs';
+import WebSocket from 'ws';
+import { globToRegExp } from './policy.js';
+import { credentialOptions } from './auth.js';
+import { createLogger } from './logger.js';
+import { isShutdownNotice } from './reconnect.js';
+
+// Wait before redialing a peer whose link dropped or couldn't be opened
+const RECONNECT_DELAY = 5000;
+
+/**
+ * Load the peers file. Returns null when it doesn't exist, which leaves
+ * federation disabled.
+ */
+export function loadFederation(configPath, env = process.env) {
+  if (!fs.existsSync(configPath)) return null;
+
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  const hubId = env.HUB_ID || config.hubId;
+  if (!hubId) throw new Error(`${configPath} needs a hubId (or set HUB_ID)`);
+
+  return {
+    hubId,
+    peers: new Map((config.peers || []).map(peer => {
+      if (!peer.id) throw new Error(`Every peer in ${configPath} needs an id`);
+      if (peer.id === hubId) throw new Error(`Peer ${peer.id} has this hub's own ID`);
+      return [peer.id, {
+        id: peer.id,
+        url: peer.url || null,
+        token: peer.token,
+        share: (peer.share || []).map(globToRegExp),
+        import: (peer.import || ['**']).map(globToRegExp)
+      }];
+    }))
+  };
+}
+
+/**
+ * Whether a tool (`{ name, qualifiedName }`) is shared with a peer.
+ */
+export function isShared(peer, tool) {
+  return matchesTool(peer.share, tool);
+}
+
+/**
+ * Whether a tool listed by a peer may be imported from it.
+ */
+export function isImported(peer, tool) {
+  return matchesTool(peer.import, tool);
+}
+
+/**
+ * Keep a link to a peer hub open, redialing whenever it drops, or once the
+ * peer's announced `retryAfterMs` has passed when it is shutting down.
+ * `handlers.onOpen(ws)` runs once the socket is open, `onMessage(ws, msg)` for
+ * every parsed message and `onClose(ws)` when it closes.
+ */
+export function openPeerLink(peer, hubId, handlers) {
+  const log = createLogger('federation');
+  const ws = new WebSocket(peer.url, credentialOptions(hubId, peer.token));
+  let reconnectDelay = RECONNECT_DELAY;
+
+  ws.on('open', () => handlers.onOpen(ws));
+
+  ws.on('message', (raw) => {
+    let msg;
+    try {
+      msg = JSON.parse(raw.toString());
+    } catch (error) {
+      log.warn(`Invalid message from peer ${peer.id}`, error);
+      return;
+    }
+    if (isShutdownNotice(msg)) {
+      reconnectDelay = Math.max(RECONNECT_DELAY, msg.params?.retryAfterMs || 0);
+      return;
+    }
+    handlers.onMessage(ws, msg);
+  });
+
+  ws.on('close', (code, reason) => {
+    handlers.onClose(ws);
+    log.info(`Link to peer ${peer.id} closed${reason.length > 0 ? ` (${reason})` : ''}, redialing in ${reconnectDelay}ms`);
+    setTimeout(() => openPeerLink(peer, hubId, handlers), reconnectDelay);
+  });
+
+  ws.on('error', (error) => {
+    log.warn(`Link to peer ${peer.id} at ${peer.url} failed: ${error.message}`);
+  });
+}
+
+function matchesTool(patterns, tool) {
+  return patterns.some(pattern => pattern.test(tool.name) || pattern.test(tool.qualifiedName));
+}
@@ -0,0 +1,213 @@
+// REST layer for callers that can make HTTP requests but can't keep a
+// WebSocket open (cron jobs, shell scripts, workflow automation tools).
+//
+//   curl -X POST http://localhost:8080/api/tools/calculate/call?timeout=5000 \
+//        -H 'Content-Type: application/json' -d '{"expression": "2 + 3"}'
+//
+// Requests go through the same validation, authorization, rate limits, audit
+// log and timeouts as WebSocket calls; this module maps their error codes to
+// HTTP statuses and describes the API as an OpenAPI document.
+
+const HTTP_STATUS = {
+  INVALID_JSON: 400,
+  INVALID_ARGUMENTS: 400,
+  UNAUTHENTICATED: 401,
+  INVALID_CREDENTIALS: 401,
+  PERMISSION_DENIED: 403,
+  TOOL_NOT_FOUND: 404,
+  WORKFLOW_NOT_FOUND: 404,
+  RESOURCE_NOT_FOUND: 404,
+  PAYLOAD_TOO_LARGE: 413,
+  RATE_LIMITED: 429,
+  UPSTREAM_ERROR: 502,
+  AGENT_DISCONNECTED: 502,
+  AGENT_UNAVAILABLE: 503,
+  SHUTTING_DOWN: 503,
+  TIMEOUT: 504
+};
+
+/**
+ * HTTP status for an error code; codes without a mapping are server errors.
+ */
+export function httpStatus(code) {
+  return HTTP_STATUS[code] || 500;
+}
+
+/**
+ * OpenAPI 3.1 description of the REST API, with one `call` operation per tool
+ * whose request body is the tool's `inputSchema`. `tools` is the tool listing
+ * clients get from `tools/list`.
+ */
+export function buildOpenApiDocument(tools, { title, version, serverUrl, authenticated }) {
+  const paths = {
+    '/api/tools': {
+      get: {
+        operationId: 'listTools',
+        summary: 'List the tools registered with the hub',
+        responses: {
+          200: jsonResponse('Registered tools', {
+            type: 'object',
+            properties: { tools: { type: 'array', items: { $ref: '#/components/schemas/Tool' } } }
+          }),
+          401: errorResponse('Missing or invalid credentials')
+        }
+      }
+    },
+    '/api/workflows': {
+      post: {
+        operationId: 'startWorkflow',
+        summary: 'Start a workflow that runs tool calls one after another',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/WorkflowRequest' } } }
+        },
+        responses: {
+          202: jsonResponse('Workflow started; poll the Location header for its results', {
+            type: 'object',
+            properties: { workflowId: { type: 'string' }, status: { const: 'started' } }
+          }),
+          400: errorResponse('Malformed steps'),
+          401: errorResponse('Missing or invalid credentials')
+        }
+      }
+    },
+    '/api/workflows/{workflowId}': {
+      get: {
+        operationId: 'getWorkflow',
+        summary: 'Status and results of a workflow',
+        parameters: [{ name: 'workflowId', in: 'path', required: true, schema: { type: 'string' } }],
+        responses: {
+          200: jsonResponse('Workflow status', { $ref: '#/components/schemas/Workflow' }),
+          401: errorResponse('Missing or invalid credentials'),
+          404: errorResponse('No such workflow')
+        }
+      }
+    },
+    '/api/results/{resultId}': {
+      get: {
+        operationId: 'getResult',
+        summary: 'Download a tool result that was too large to return inline',
+        parameters: [{ name: 'resultId', in: 'path', required: true, schema: { type: 'string' } }],
+        responses: {
+          200: jsonResponse('The stored result', {}),
+          401: errorResponse('Missing or invalid credentials'),
+          404: errorResponse('No such result, or it has expired')
+        }
+      }
+    }
+  };
+
+  tools.forEach(tool => {
+    paths[`/api/tools/${encodeURIComponent(tool.name)}/call`] = { post: toolOperation(tool) };
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: { title, version, description: 'Tools registered with the MCP hub, callable over HTTP' },
+    servers: [{ url: serverUrl }],
+    ...(authenticated && { security: [{ basicAuth: [] }] }),
+    paths,
+    components: {
+      securitySchemes: {
+        basicAuth: { type: 'http', scheme: 'basic', description: 'Client ID and token from the hub credentials file' }
+      },
+      schemas: COMPONENT_SCHEMAS
+    }
+  };
+}
+
+function toolOperation(tool) {
+  return {
+    operationId: `call_${tool.name.replace(/[^A-Za-z0-9_]/g, '_')}`,
+    summary: tool.description || `Call ${tool.name}`,
+    tags: [tool.provider],
+    parameters: [{
+      name: 'timeout',
+      in: 'query',
+      description: 'Milliseconds to wait for the result; can shorten but not extend the server\'s deadline',
+      schema: { type: 'integer', minimum: 1 }
+    }],
+    requestBody: {
+      required: true,
+      content: { 'application/json': { schema: tool.inputSchema || { type: 'object' } } }
+    },
+    responses: {
+      200: jsonResponse('The tool\'s result; results too large to return inline are a `resultRef` to GET from /api/results', {
+        type: 'object',
+        properties: { result: {} }
+      }),
+      400: errorResponse('Arguments don\'t match the input schema'),
+      401: errorResponse('Missing or invalid credentials'),
+      403: errorResponse('Denied by the authorization policy'),
+      404: errorResponse('The tool is no longer registered'),
+      429: errorResponse('Rate limited; see the Retry-After header'),
+      503: errorResponse('No agent instance available to serve the tool, or the hub is shutting down'),
+      504: errorResponse('No result within the deadline')
+    }
+  };
+}
+
+function jsonResponse(description, schema) {
+  return { description, content: { 'application/json': { schema } } };
+}
+
+function errorResponse(description) {
+  return jsonResponse(description, { $ref: '#/components/schemas/Error' });
+}
+
+const COMPONENT_SCHEMAS = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['code', 'message'],
+        properties: {
+          code: { type: 'string' },
+          message: { type: 'string' },
+          violations: { type: 'array', items: { type: 'object' } },
+          rule: { type: ['string', 'null'] },
+          retryAfter: { type: 'integer' }
+        }
+      }
+    }
+  },
+  Tool: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      qualifiedName: { type: 'string' },
+      description: { type: 'string' },
+      provider: { type: 'string' },
+      status: { enum: ['healthy', 'degraded', 'offline', 'pending-reconnect'] },
+      inputSchema: { type: 'object' }
+    }
+  },
+  WorkflowRequest: {
+    type: 'object',
+    required: ['steps'],
+    properties: {
+      steps: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['tool'],
+          properties: { tool: { type: 'string' }, arguments: { type: 'object' } }
+        }
+      }
+    }
+  },
+  Workflow: {
+    type: 'object',
+    properties: {
+      workflowId: { type: 'string' },
+      status: { enum: ['running', 'completed', 'failed'] },
+      completedSteps: { type: 'integer' },
+      totalSteps: { type: 'integer' },
+      results: { type: 'array', items: {} },
+      error: { type: 'object', properties: { code: { type: 'string' }, message: { type: 'string' } } }
+    }
+  }
+};
@@ -0,0 +1,161 @@
+// JSON-RPC 2.0 compatibility layer for the MCP hub.
+//
+// Internally the server and agents speak the legacy `{ type, id, from, params }`
+// envelope. Connections that send `jsonrpc: '2.0'` messages are translated to
+// and from that envelope at the socket boundary, so handlers stay unchanged.
+
+export const JSONRPC_VERSION = '2.0';
+
+// Newest first; the first entry is offered when the client asks for a version we don't know
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// Legacy string error codes -> JSON-RPC numeric codes
+const ERROR_CODES = {
+  INVALID_JSON: -32700,
+  INVALID_REQUEST: -32600,
+  UNKNOWN_MESSAGE: -32601,
+  TOOL_NOT_FOUND: -32602,
+  INVALID_ARGUMENTS: -32602,
+  INTERNAL_ERROR: -32603,
+  NOT_INITIALIZED: -32002
+};
+const SERVER_ERROR = -32000;
+
+// Envelope types the server sends without a request ID, mapped to notification methods
+const NOTIFICATIONS = {
+  capabilities_updated: 'notifications/tools/list_changed',
+  'workflow/result': 'notifications/workflow/result'
+};
+
+/**
+ * Whether a decoded message uses the JSON-RPC 2.0 wire format.
+ */
+export function isJsonRpc(msg) {
+  return msg !== null && typeof msg === 'object' && msg.jsonrpc === JSONRPC_VERSION;
+}
+
+/**
+ * Pick the protocol version to answer an `initialize` request with.
+ */
+export function negotiateProtocolVersion(requested) {
+  return SUPPORTED_PROTOCOL_VERSIONS.includes(requested)
+    ? requested
+    : SUPPORTED_PROTOCOL_VERSIONS[0];
+}
+
+/**
+ * Translate an incoming JSON-RPC message into the legacy envelope.
+ * `from` is the identity established for the connection, since JSON-RPC
+ * messages don't carry a sender.
+ */
+export function fromJsonRpc(msg, from) {
+  if (msg.method) {
+    const params = msg.params || {};
+
+    // Agents register through a hub-specific method carrying their ID
+    if (msg.method === 'register') {
+      return {
+        type: 'register',
+        id: msg.id,
+        from: params.agentId || from,
+        instanceId: params.instanceId,
+        capabilities: params.capabilities || {}
+      };
+    }
+
+    return { type: msg.method, id: msg.id, from, params };
+  }
+
+  if (msg.error) {
+    return {
+      type: 'error',
+      id: msg.id,
+      error: {
+        code: msg.error.data?.code || legacyErrorCode(msg.error.code),
+        message: msg.error.message
+      }
+    };
+  }
+
+  return { type: 'response', id: msg.id, result: msg.result };
+}
+
+/**
+ * Translate an outgoing legacy envelope into a JSON-RPC message.
+ */
+export function toJsonRpc(msg) {
+  switch (msg.type) {
+    case 'response':
+      return { jsonrpc: JSONRPC_VERSION, id: msg.id, result: msg.result };
+
+    case 'registered':
+      return { jsonrpc: JSONRPC_VERSION, id: msg.id, result: { serverCapabilities: msg.serverCapabilities } };
+
+    case 'error': {
+      const { code = 'INTERNAL_ERROR', message = msg.message || 'Unknown error', ...data } = msg.error || {};
+      return {
+        jsonrpc: JSONRPC_VERSION,
+        id: msg.id ?? null,
+        error: { code: ERROR_CODES[code] ?? SERVER_ERROR, message, data: { code, ...data } }
+      };
+    }
+
+    default: {
+      const { type, id, from, params, ...rest } = msg;
+      if (id !== undefined) {
+        return { jsonrpc: JSONRPC_VERSION, id, method: type, params: params || {} };
+      }
+
+      return {
+        jsonrpc: JSONRPC_VERSION,
+        method: NOTIFICATIONS[type] || type,
+        params: params || (type === 'capabilities_updated' ? {} : rest)
+      };
+    }
+  }
+}
+
+/**
+ * Wrap a legacy tool result as an MCP `CallToolResult`. Results that are
+ * already in that shape (from JSON-RPC agents) pass through untouched.
+ */
+export function toCallToolResult(result) {
+  if (result && Array.isArray(result.content)) return result;
+
+  const text = typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+  const callToolResult = {
+    content: [{ type: 'text', text: text ?? '' }],
+    isError: result?.success === false
+  };
+
+  if (result !== null && typeof result === 'object' && !Array.isArray(result)) {
+    callToolResult.structuredContent = result;
+  }
+
+  return callToolResult;
+}
+
+/**
+ * Unwrap an MCP `CallToolResult` for legacy callers, preferring structured
+ * content, then a JSON text block, then the text itself.
+ */
+export function fromCallToolResult(result) {
+  if (!result || !Array.isArray(result.content)) return result;
+  if (result.structuredContent !== undefined) return result.structuredContent;
+
+  const textBlocks = result.content.filter(block => block.type === 'text');
+  if (textBlocks.length !== 1 || textBlocks.length !== result.content.length) return result;
+
+  try {
+    return JSON.parse(textBlocks[0].text);
+  } catch {
+    return result.isError
+      ? { success: false, error: textBlocks[0].text }
+      : textBlocks[0].text;
+  }
+}
+
+function legacyErrorCode(numericCode) {
+  const entry = Object.entries(ERROR_CODES).find(([, code]) => code === numericCode);
+  return entry ? entry[0] : 'INTERNAL_ERROR';
+}
@@ -0,0 +1,86 @@
+// Leveled logging shared by the server, agents and gateway.
+//
+//   const log = createLogger('file-agent');
+//   log.info('🔧 Executing tool: read_file');
+//   log.debug('Received message', msg);
+//   log.error('Tool failed', error);
+//
+// LOG_LEVEL (`error`, `warn`, `info`, `debug`; default `info`) sets the threshold.
+// DEBUG_COMPONENTS lists components that log at debug level regardless, by name
+// or by agent name without `-agent` (`orchestrator`), or `*` for all of them.
+// LOG_FORMAT=json writes one JSON object per line instead of text.
+//
+// Fields are made safe before they're written: credential-like fields (API key
+// headers, tokens, authorization) are redacted and long strings truncated, so
+// a debug dump of a message doesn't copy file contents or AI output into the log.
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+const REDACTED_FIELDS = /key$|token|authorization|credential|pass/i;
+const MAX_STRING_LENGTH = 300;
+const MAX_DEPTH = 6;
+
+/**
+ * Create a logger for one component. `stream` sends every level to one
+ * stream (the stdio gateway keeps stdout for protocol messages); by default
+ * errors and warnings go to stderr and the rest to stdout.
+ */
+export function createLogger(component, { stream } = {}) {
+  const threshold = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+  const debugComponents = (process.env.DEBUG_COMPONENTS || '').split(',').map(name => name.trim());
+  const debugEnabled = debugComponents.some(name =>
+    name === '*' || name === component || `${name}-agent` === component
+  );
+  const json = (process.env.LOG_FORMAT || '').toLowerCase() === 'json';
+
+  function write(level, message, fields) {
+    if (LEVELS[level] > threshold && !(level === 'debug' && debugEnabled)) return;
+
+    const timestamp = new Date().toISOString();
+    const safeFields = fields === undefined ? undefined : sanitize(fields);
+    const line = json
+      ? JSON.stringify({ timestamp, level, component, message, ...(safeFields !== undefined && { fields: safeFields }) })
+      : `${timestamp} ${level.toUpperCase().padEnd(5)} [${component}] ${message}${formatFields(safeFields)}`;
+
+    const target = stream || (LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout);
+    target.write(line + '\n');
+  }
+
+  return {
+    error: (message, fields) => write('error', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    debug: (message, fields) => write('debug', message, fields)
+  };
+}
+
+// Plain, redacted, size-limited copy of a value; Errors keep their message and stack
+function sanitize(value, name, depth = 0, seen = new WeakSet()) {
+  if (name !== undefined && REDACTED_FIELDS.test(name)) return '[REDACTED]';
+
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, ...(value.code && { code: value.code }), stack: value.stack };
+  }
+  if (typeof value === 'string') {
+    return value.length > MAX_STRING_LENGTH
+      ? `${value.slice(0, MAX_STRING_LENGTH)}... (${value.length} chars)`
+      : value;
+  }
+  if (Buffer.isBuffer(value)) return `<${value.length} bytes>`;
+  if (value === null || typeof value !== 'object') return value;
+
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? '[Array]' : '[Object]';
+  seen.add(value);
+
+  if (Array.isArray(value)) return value.map(item => sanitize(item, undefined, depth + 1, seen));
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, sanitize(item, key, depth + 1, seen)])
+  );
+}
+
+function formatFields(fields) {
+  if (fields === undefined) return '';
+  if (fields?.stack && fields.message !== undefined) return `: ${fields.message}\n${fields.stack}`;
+  return ` ${typeof fields === 'string' ? fields : JSON.stringify(fields)}`;
+}
@@ -0,0 +1,33 @@
+// Message size limit shared by the hub and the agents that connect to it.
+//
+// The hub closes any connection that sends a WebSocket message larger than
+// MAX_MESSAGE_SIZE (code 1009), failing every call in flight on it. Agents
+// whose results can be arbitrarily large check their replies first, so only
+// the oversized call fails:
+//
+//   { "type": "error", "id": "call-7", "error": { "code": "RESULT_TOO_LARGE", "message": "..." } }
+
+export const DEFAULT_MAX_MESSAGE_SIZE = 16 * 1024 * 1024;
+
+/**
+ * The configured MAX_MESSAGE_SIZE in bytes.
+ */
+export function maxMessageSize(env = process.env) {
+  return parseInt(env.MAX_MESSAGE_SIZE) || DEFAULT_MAX_MESSAGE_SIZE;
+}
+
+/**
+ * Serialize a reply to the hub. One over `maxBytes` is replaced by a
+ * `RESULT_TOO_LARGE` error for the same request.
+ */
+export function encodeReply(reply, maxBytes = maxMessageSize()) {
+  const serialized = JSON.stringify(reply);
+  const size = Buffer.byteLength(serialized);
+  if (size <= maxBytes) return serialized;
+
+  return JSON.stringify({
+    type: 'error',
+    id: reply.id,
+    error: { code: 'RESULT_TOO_LARGE', message: `Result of ${size} bytes exceeds the hub's ${maxBytes}-byte message limit` }
+  });
+}
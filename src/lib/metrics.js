@@ -0,0 +1,103 @@
+// Minimal Prometheus metrics: counters, gauges and histograms rendered in the
+// text exposition format (https://prometheus.io/docs/instrumenting/exposition_formats/).
+//
+//   const registry = createRegistry();
+//   const calls = registry.counter('mcp_tool_calls_total', 'Tool calls');
+//   calls.inc({ tool: 'read_file', outcome: 'success' });
+//   registry.gauge('mcp_registered_agents', 'Registered agents', () => agents.size);
+//   res.type(CONTENT_TYPE).send(registry.render());
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Upper bounds (seconds) for latency histograms: fast local tools to slow AI calls
+export const DEFAULT_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+/**
+ * A set of metrics rendered together.
+ */
+export function createRegistry() {
+  const metrics = [];
+  const register = (metric) => {
+    metrics.push(metric);
+    return metric;
+  };
+
+  return {
+    counter: (name, help) => register(createCounter(name, help)),
+    gauge: (name, help, collect) => register(createGauge(name, help, collect)),
+    histogram: (name, help, buckets = DEFAULT_BUCKETS) => register(createHistogram(name, help, buckets)),
+    render: () => metrics.map(metric => metric.render()).join('\n') + '\n'
+  };
+}
+
+// Monotonic count per label set
+function createCounter(name, help) {
+  const values = new Map(); // serialized labels -> value
+
+  return {
+    inc(labels = {}, amount = 1) {
+      const key = formatLabels(labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+    render() {
+      const samples = Array.from(values, ([labels, value]) => `${name}${labels} ${value}`);
+      return [header(name, help, 'counter'), ...samples].join('\n');
+    }
+  };
+}
+
+// Read at scrape time: `collect()` returns a number, or `[labels, value]` pairs
+function createGauge(name, help, collect) {
+  return {
+    render() {
+      const collected = collect();
+      const samples = typeof collected === 'number'
+        ? [`${name} ${collected}`]
+        : collected.map(([labels, value]) => `${name}${formatLabels(labels)} ${value}`);
+      return [header(name, help, 'gauge'), ...samples].join('\n');
+    }
+  };
+}
+
+// Cumulative buckets, sum and count per label set
+function createHistogram(name, help, buckets) {
+  const series = new Map(); // serialized labels -> { labels, counts, sum, count }
+
+  return {
+    observe(labels, value) {
+      const key = formatLabels(labels);
+      const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+      series.set(key, entry);
+    },
+    render() {
+      const samples = [];
+      series.forEach(({ labels, counts, sum, count }, key) => {
+        buckets.forEach((bound, index) => {
+          samples.push(`${name}_bucket${formatLabels({ ...labels, le: String(bound) })} ${counts[index]}`);
+        });
+        samples.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        samples.push(`${name}_sum${key} ${sum}`);
+        samples.push(`${name}_count${key} ${count}`);
+      });
+      return [header(name, help, 'histogram'), ...samples].join('\n');
+    }
+  };
+}
+
+function header(name, help, type) {
+  return `# HELP ${name} ${help}\n# TYPE ${name} ${type}`;
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
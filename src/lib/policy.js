@@ -0,0 +1,177 @@
+// Declarative authorization policy for tool calls, resource reads and prompts.
+//
+// A policy is an ordered list of rules; the first rule that matches a request
+// decides it, and requests no rule matches get the policy's `default` effect:
+//
+//   {
+//     "default": "deny",
+//     "rules": [
+//       { "id": "writes-in-output", "effect": "allow", "actions": ["tools/call"], "tools": ["write_file"],
+//         "arguments": { "path": { "under": "output" } } },
+//       { "id": "no-other-writes", "effect": "deny", "actions": ["tools/call"], "tools": ["write_file"],
+//         "reason": "write_file is limited to output/" }
+//     ]
+//   }
+//
+// Rules match on `principals` (caller IDs), `actions`, `tools` and `prompts`
+// (short or qualified names), `resources` (URI patterns) and `arguments` constraints.
+// Omitted fields match anything. Patterns are globs: `*` stops at "/", `**` doesn't.
+
+import fs from 'fs';
+import path from 'path';
+
+// Used when no policy file exists: every tool and prompt, the audit trail and
+// dashboard, read access to the project's public files, and the web and AI
+// resources agents publish
+export const DEFAULT_POLICY = {
+  default: 'deny',
+  rules: [
+    { id: 'tools', effect: 'allow', actions: ['tools/call'] },
+    { id: 'prompts', effect: 'allow', actions: ['prompts/get'] },
+    { id: 'audit', effect: 'allow', actions: ['audit/read'] },
+    { id: 'dashboard', effect: 'allow', actions: ['dashboard/read'] },
+    {
+      id: 'project-files',
+      effect: 'allow',
+      actions: ['resources/read'],
+      resources: ['file://src/**', 'file://package.json', 'file://README.md']
+    },
+    { id: 'agent-resources', effect: 'allow', actions: ['resources/read'], resources: ['web://**', 'ai://**'] }
+  ]
+};
+
+/**
+ * Load a policy file, falling back to DEFAULT_POLICY when it doesn't exist.
+ * Patterns are compiled up front so a broken policy fails at startup.
+ */
+export function loadPolicy(configPath) {
+  const policy = fs.existsSync(configPath)
+    ? JSON.parse(fs.readFileSync(configPath, 'utf-8'))
+    : DEFAULT_POLICY;
+
+  return {
+    default: policy.default === 'allow' ? 'allow' : 'deny',
+    rules: (policy.rules || []).map((rule, index) => compileRule(rule, index))
+  };
+}
+
+/**
+ * Decide a request against a loaded policy.
+ * `request` is `{ principal, action, tool?|prompt?: { name, qualifiedName }, uri?, arguments? }`.
+ * Returns `{ allowed, rule, reason }`; `reason` explains denials.
+ */
+export function authorize(policy, request) {
+  const rule = policy.rules.find(candidate => ruleMatches(candidate, request));
+  const target = [request.action, describeTarget(request)].filter(Boolean).join(' ');
+
+  if (!rule) {
+    return policy.default === 'allow'
+      ? { allowed: true, rule: null }
+      : { allowed: false, rule: null, reason: `No policy rule allows ${request.principal} to ${target}` };
+  }
+
+  if (rule.effect === 'allow') return { allowed: true, rule: rule.id };
+
+  return {
+    allowed: false,
+    rule: rule.id,
+    reason: rule.reason || `Policy rule ${rule.id} denies ${request.principal} ${target}`
+  };
+}
+
+/**
+ * Canonical form of a `file://` URI: project-relative with `..` resolved, or
+ * absolute when it points outside the project. Other schemes pass through.
+ */
+export function canonicalizeUri(uri) {
+  if (!uri.startsWith('file://')) return uri;
+  return `file://${canonicalizePath(uri.slice('file://'.length))}`;
+}
+
+function compileRule(rule, index) {
+  if (rule.effect !== 'allow' && rule.effect !== 'deny') {
+    throw new Error(`Policy rule ${rule.id || index} needs an effect of "allow" or "deny"`);
+  }
+
+  return {
+    ...rule,
+    id: rule.id || `rule-${index + 1}`,
+    principals: compileGlobs(rule.principals),
+    tools: compileGlobs(rule.tools),
+    prompts: compileGlobs(rule.prompts),
+    resources: compileGlobs(rule.resources),
+    arguments: Object.entries(rule.arguments || {}).map(([name, constraint]) => ({
+      name,
+      ...constraint,
+      pattern: constraint.pattern !== undefined ? new RegExp(constraint.pattern, 'u') : undefined
+    }))
+  };
+}
+
+function ruleMatches(rule, request) {
+  if (rule.actions && !rule.actions.includes(request.action)) return false;
+  if (rule.principals && !matchesAny(rule.principals, request.principal)) return false;
+
+  if (rule.tools && !matchesNamed(rule.tools, request.tool)) return false;
+  if (rule.prompts && !matchesNamed(rule.prompts, request.prompt)) return false;
+
+  if (rule.resources) {
+    if (!request.uri || !matchesAny(rule.resources, canonicalizeUri(request.uri))) return false;
+  }
+
+  return rule.arguments.every(constraint => constraintHolds(constraint, request.arguments?.[constraint.name]));
+}
+
+// Argument constraints: `under` (path inside a project directory), `pattern`, `enum`
+function constraintHolds(constraint, value) {
+  if (value === undefined) return false;
+
+  if (constraint.under !== undefined) {
+    const directory = canonicalizePath(constraint.under);
+    const target = canonicalizePath(String(value));
+    if (target !== directory && !target.startsWith(`${directory}/`)) return false;
+  }
+  if (constraint.pattern && !constraint.pattern.test(String(value))) return false;
+  if (constraint.enum && !constraint.enum.includes(value)) return false;
+
+  return true;
+}
+
+function canonicalizePath(filePath) {
+  const resolved = path.resolve(filePath);
+  const relative = path.relative(process.cwd(), resolved);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) return resolved.split(path.sep).join('/');
+  return relative.split(path.sep).join('/');
+}
+
+function compileGlobs(patterns) {
+  return patterns ? patterns.map(globToRegExp) : null;
+}
+
+/**
+ * Compile a glob where `*` stops at "/" and `**` doesn't.
+ */
+export function globToRegExp(glob) {
+  const source = glob
+    .split('**')
+    .map(part => part.split('*').map(escapeRegExp).join('[^/]*'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function matchesAny(patterns, value) {
+  return value !== undefined && patterns.some(pattern => pattern.test(value));
+}
+
+// Tools and prompts match by short or qualified name
+function matchesNamed(patterns, target) {
+  return Boolean(target) && (matchesAny(patterns, target.name) || matchesAny(patterns, target.qualifiedName));
+}
+
+function describeTarget(request) {
+  return (request.tool || request.prompt)?.name || request.uri;
+}
@@ -0,0 +1,169 @@
+// Token-bucket rate limits and concurrency caps for tool calls.
+//
+// Limits are rules matched on `clients` (caller IDs), `agents` and `tools`
+// (short or qualified names); omitted fields match anything. Unlike policy
+// rules, every matching rule applies, and a call must pass all of them:
+//
+//   {
+//     "rules": [
+//       { "id": "ai-quota", "agents": ["ai-agent"], "rate": { "requests": 30, "perSeconds": 60 } },
+//       { "id": "one-analysis-at-a-time", "tools": ["analyze_content"], "maxConcurrent": 1 },
+//       { "id": "web-capacity", "agents": ["web-agent"], "maxConcurrent": 5, "per": "all" }
+//     ]
+//   }
+//
+// Each client gets its own bucket and concurrency count, unless `per` is "all",
+// in which case one bucket and count are shared by every client.
+
+import fs from 'fs';
+import { globToRegExp } from './policy.js';
+
+// How often idle buckets are swept out of the limiter state
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Load limit rules from a file (optional) plus the AI_AGENT_RATE_LIMIT and
+ * WEB_AGENT_MAX_CONCURRENT settings. Returns the limiter state.
+ */
+export function loadLimits(configPath, env = process.env) {
+  const config = fs.existsSync(configPath)
+    ? JSON.parse(fs.readFileSync(configPath, 'utf-8'))
+    : { rules: [] };
+
+  return {
+    rules: [...(config.rules || []), ...envRules(env)].map((rule, index) => compileRule(rule, index)),
+    buckets: new Map(), // rule/client key -> { tokens, updatedAt, windowMs }
+    inFlight: new Map(), // rule/client key -> calls holding a slot
+    prunedAt: Date.now()
+  };
+}
+
+/**
+ * Take a token from every matching bucket and a slot under every matching
+ * concurrency cap, or none at all if any limit is exhausted.
+ * `request` is `{ client, agent, tool: { name, qualifiedName } }`.
+ * Returns `{ allowed: true, release }`, where `release()` frees the slots once
+ * the call finishes, or `{ allowed: false, rule, reason, retryAfter }` with
+ * `retryAfter` in seconds.
+ */
+export function acquire(limits, request) {
+  const now = Date.now();
+  pruneBuckets(limits, now);
+  const matching = limits.rules
+    .filter(rule => ruleMatches(rule, request))
+    .map(rule => ({ rule, key: `${rule.id}:${rule.per === 'all' ? '*' : request.client}` }));
+
+  for (const { rule, key } of matching) {
+    if (rule.maxConcurrent !== undefined && (limits.inFlight.get(key) || 0) >= rule.maxConcurrent) {
+      return {
+        allowed: false,
+        rule: rule.id,
+        reason: `Limit ${rule.id} allows ${rule.maxConcurrent} concurrent call(s) to ${request.tool.name}`,
+        retryAfter: 1
+      };
+    }
+
+    if (rule.rate) {
+      const bucket = refill(limits, rule, key, now);
+      if (bucket.tokens < 1) {
+        return {
+          allowed: false,
+          rule: rule.id,
+          reason: `Limit ${rule.id} allows ${rule.rate.requests} call(s) to ${request.tool.name} per ${rule.rate.perSeconds}s`,
+          retryAfter: Math.ceil((1 - bucket.tokens) / rule.refillPerMs / 1000)
+        };
+      }
+    }
+  }
+
+  matching.forEach(({ rule, key }) => {
+    if (rule.rate) limits.buckets.get(key).tokens -= 1;
+    if (rule.maxConcurrent !== undefined) limits.inFlight.set(key, (limits.inFlight.get(key) || 0) + 1);
+  });
+
+  let released = false;
+  return {
+    allowed: true,
+    release() {
+      if (released) return;
+      released = true;
+      matching.forEach(({ rule, key }) => {
+        if (rule.maxConcurrent === undefined) return;
+        const count = limits.inFlight.get(key) - 1;
+        if (count > 0) limits.inFlight.set(key, count);
+        else limits.inFlight.delete(key);
+      });
+    }
+  };
+}
+
+// The long-standing .env settings, expressed as rules: AI calls per client
+// per minute, and concurrent web requests across all clients
+function envRules(env) {
+  const rules = [];
+
+  const aiRate = parseInt(env.AI_AGENT_RATE_LIMIT);
+  if (aiRate > 0) {
+    rules.push({ id: 'AI_AGENT_RATE_LIMIT', agents: ['ai-agent'], rate: { requests: aiRate, perSeconds: 60 } });
+  }
+
+  const webConcurrency = parseInt(env.WEB_AGENT_MAX_CONCURRENT);
+  if (webConcurrency > 0) {
+    rules.push({ id: 'WEB_AGENT_MAX_CONCURRENT', agents: ['web-agent'], maxConcurrent: webConcurrency, per: 'all' });
+  }
+
+  return rules;
+}
+
+function compileRule(rule, index) {
+  const id = rule.id || `limit-${index + 1}`;
+  if (!rule.rate && rule.maxConcurrent === undefined) {
+    throw new Error(`Limit ${id} needs a rate, a maxConcurrent or both`);
+  }
+  if (rule.rate && !(rule.rate.requests > 0 && rule.rate.perSeconds > 0)) {
+    throw new Error(`Limit ${id} needs a rate with positive requests and perSeconds`);
+  }
+
+  return {
+    ...rule,
+    id,
+    clients: rule.clients ? rule.clients.map(globToRegExp) : null,
+    agents: rule.agents ? rule.agents.map(globToRegExp) : null,
+    tools: rule.tools ? rule.tools.map(globToRegExp) : null,
+    refillPerMs: rule.rate ? rule.rate.requests / (rule.rate.perSeconds * 1000) : 0
+  };
+}
+
+function ruleMatches(rule, request) {
+  if (rule.clients && !matchesAny(rule.clients, request.client)) return false;
+  if (rule.agents && !matchesAny(rule.agents, request.agent)) return false;
+  if (rule.tools && !matchesAny(rule.tools, request.tool.name) && !matchesAny(rule.tools, request.tool.qualifiedName)) {
+    return false;
+  }
+  return true;
+}
+
+function matchesAny(patterns, value) {
+  return value !== undefined && patterns.some(pattern => pattern.test(value));
+}
+
+// Buckets start full and refill continuously up to `rate.requests`
+function refill(limits, rule, key, now) {
+  const bucket = limits.buckets.get(key)
+    || { tokens: rule.rate.requests, updatedAt: now, windowMs: rule.rate.perSeconds * 1000 };
+  bucket.tokens = Math.min(rule.rate.requests, bucket.tokens + (now - bucket.updatedAt) * rule.refillPerMs);
+  bucket.updatedAt = now;
+  limits.buckets.set(key, bucket);
+  return bucket;
+}
+
+// A bucket untouched for its whole refill window is full again, the same as
+// one that was never created, so dropping it keeps one-off clients from
+// accumulating
+function pruneBuckets(limits, now) {
+  if (now - limits.prunedAt < PRUNE_INTERVAL_MS) return;
+  limits.prunedAt = now;
+  limits.buckets.forEach((bucket, key) => {
+    if (now - bucket.updatedAt >= bucket.windowMs) limits.buckets.delete(key);
+  });
+}
@@ -0,0 +1,48 @@
+// Reconnect delays for agents, the stdio gateway and other hub connections.
+//
+// Normally a dropped connection is redialed after a fixed delay. A hub that is
+// shutting down says so first with a `server/shutdown` notice:
+//
+//   { "type": "server/shutdown", "params": { "reason": "SIGTERM", "drainMs": 30000, "retryAfterMs": 5000 } }
+//
+// After one, the first redial waits `retryAfterMs` and each failed attempt
+// doubles the wait (up to MAX_DELAY) until a connection opens again.
+
+export const SHUTDOWN_NOTICE = 'server/shutdown';
+
+// Longest wait between attempts while backing off
+const MAX_DELAY = 60000;
+
+/**
+ * Track the delay before the next reconnect. `next()` returns it, `backOff(params)`
+ * applies a shutdown notice's parameters and `connected()` goes back to `baseMs`.
+ */
+export function createReconnectDelay(baseMs) {
+  let delayMs = baseMs;
+  let backingOff = false;
+
+  return {
+    backOff({ retryAfterMs } = {}) {
+      delayMs = Math.min(Math.max(baseMs, retryAfterMs || 0), MAX_DELAY);
+      backingOff = true;
+    },
+
+    connected() {
+      delayMs = baseMs;
+      backingOff = false;
+    },
+
+    next() {
+      const currentMs = delayMs;
+      if (backingOff) delayMs = Math.min(delayMs * 2, MAX_DELAY);
+      return currentMs;
+    }
+  };
+}
+
+/**
+ * Whether a message from the hub, legacy or JSON-RPC, is a shutdown notice.
+ */
+export function isShutdownNotice(msg) {
+  return msg?.type === SHUTDOWN_NOTICE || msg?.method === SHUTDOWN_NOTICE;
+}
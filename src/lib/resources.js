@@ -0,0 +1,59 @@
+// Helpers for agents answering `resources/read`.
+//
+// Results use the MCP `ReadResourceResult` shape: `{ contents: [...] }`, where
+// each entry carries its URI and MIME type plus either `text` or a base64 `blob`.
+
+import path from 'path';
+
+const MIME_TYPES = {
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.html': 'text/html',
+  '.css': 'text/css',
+  '.csv': 'text/csv',
+  '.js': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.sh': 'text/x-shellscript',
+  '.json': 'application/json',
+  '.jsonl': 'application/jsonl',
+  '.yml': 'application/yaml',
+  '.yaml': 'application/yaml',
+  '.xml': 'application/xml',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip'
+};
+
+/**
+ * MIME type for a file, by extension. Unknown extensions are treated as binary.
+ */
+export function mimeTypeForPath(filePath) {
+  return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Whether content of this MIME type should be sent as `text` rather than a `blob`.
+ */
+export function isTextMimeType(mimeType) {
+  const essence = mimeType.split(';')[0].trim().toLowerCase();
+  return essence.startsWith('text/')
+    || /\/(json|jsonl|javascript|yaml|xml)$/.test(essence)
+    || /\+(json|xml)$/.test(essence);
+}
+
+/**
+ * Build a `ReadResourceResult` for one resource from its raw bytes.
+ */
+export function readResourceResult(uri, mimeType, data) {
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+  const content = isTextMimeType(mimeType)
+    ? { uri, mimeType, text: buffer.toString('utf-8') }
+    : { uri, mimeType, blob: buffer.toString('base64') };
+
+  return { contents: [content] };
+}
@@ -0,0 +1,95 @@
+// Out-of-band storage for tool results too large to send inline.
+//
+// An oversized result is written to disk and the caller gets a `CallToolResult`
+// with a `resource_link` to it instead; legacy callers see its structured content:
+//
+//   { "resultRef": { "uri": "result://3f2b...", "mimeType": "application/json", "size": 5242880, "expiresAt": "..." } }
+//
+// The caller reads it back with `resources/read` or `GET /api/results/:id`.
+// Stored results belong to the caller whose call produced them and expire
+// after `ttlMs`.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export const RESULT_URI_PREFIX = 'result://';
+
+// Only files named like the ones this store writes are ever removed
+const STORED_FILE = /^[0-9a-f-]{36}\.json$/;
+
+/**
+ * Open the result directory. Files left by a previous run are removed: their
+ * owners were only known to that run.
+ */
+export function createResultStore(dir, { ttlMs }) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.readdirSync(dir)
+    .filter(name => STORED_FILE.test(name))
+    .forEach(name => fs.rmSync(path.join(dir, name), { force: true }));
+
+  const stored = new Map(); // id -> { owner, file, size, expiresAt }
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    stored.forEach((entry, id) => {
+      if (entry.expiresAt > now) return;
+      stored.delete(id);
+      fs.rm(entry.file, { force: true }, () => {});
+    });
+  }, Math.min(ttlMs, 60000));
+  sweep.unref();
+
+  return {
+    /**
+     * Store a serialized result for `owner`. Returns the reference result to
+     * send in its place.
+     */
+    save(owner, serialized) {
+      const id = crypto.randomUUID();
+      const file = path.join(dir, `${id}.json`);
+      fs.writeFileSync(file, serialized);
+
+      const entry = { owner, file, size: Buffer.byteLength(serialized), expiresAt: Date.now() + ttlMs };
+      stored.set(id, entry);
+      return referenceResult(id, entry);
+    },
+
+    /**
+     * A stored result's file and size, or null when it doesn't exist, has
+     * expired or belongs to someone else.
+     */
+    get(id, owner) {
+      const entry = stored.get(id);
+      if (!entry || entry.owner !== owner || entry.expiresAt <= Date.now()) return null;
+      return { file: entry.file, size: entry.size };
+    }
+  };
+}
+
+/**
+ * The result ID in a `result://` URI, or null for other URIs.
+ */
+export function resultIdFromUri(uri) {
+  return typeof uri === 'string' && uri.startsWith(RESULT_URI_PREFIX) ? uri.slice(RESULT_URI_PREFIX.length) : null;
+}
+
+function referenceResult(id, { size, expiresAt }) {
+  const resultRef = {
+    uri: `${RESULT_URI_PREFIX}${id}`,
+    mimeType: 'application/json',
+    size,
+    expiresAt: new Date(expiresAt).toISOString()
+  };
+
+  return {
+    content: [{
+      type: 'resource_link',
+      uri: resultRef.uri,
+      name: `result-${id}.json`,
+      description: `Tool result of ${size} bytes, stored because it was too large to send inline`,
+      mimeType: resultRef.mimeType
+    }],
+    structuredContent: { resultRef }
+  };
+}
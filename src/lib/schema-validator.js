@@ -0,0 +1,132 @@
+// Minimal JSON Schema validator for tool `inputSchema`s.
+//
+// Covers the keywords agents actually publish (type, required, enum,
+// properties, items, additionalProperties, default and the usual numeric,
+// string and array bounds). Unknown keywords are ignored rather than
+// rejected, so richer schemas from bridged servers still pass through.
+
+/**
+ * Validate tool arguments against a schema.
+ * Returns the arguments with defaults filled in, plus one violation per
+ * problem, each addressed by JSON pointer (`/numbers/2`, `/to_unit`, ...).
+ */
+export function validateArguments(schema, args) {
+  const violations = [];
+  const value = applyDefaults(schema, args === undefined ? {} : structuredClone(args));
+
+  if (schema) validate(schema, value, '', violations);
+
+  return { valid: violations.length === 0, violations, value };
+}
+
+function validate(schema, value, pointer, violations) {
+  const fail = (message) => violations.push({ pointer, message });
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(type, value))) {
+      return fail(`must be ${types.join(' or ')}, got ${describeType(value)}`);
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => deepEqual(option, value))) {
+    fail(`must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern !== undefined && !matchesPattern(schema.pattern, value)) fail(`must match pattern ${schema.pattern}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items && typeof schema.items === 'object') {
+      value.forEach((item, index) => validate(schema.items, item, `${pointer}/${index}`, violations));
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) {
+        violations.push({ pointer: `${pointer}/${escapePointer(name)}`, message: 'is required' });
+      }
+    });
+
+    Object.entries(value).forEach(([name, propertyValue]) => {
+      const propertyPointer = `${pointer}/${escapePointer(name)}`;
+
+      if (properties[name]) {
+        validate(properties[name], propertyValue, propertyPointer, violations);
+      } else if (schema.additionalProperties === false) {
+        violations.push({ pointer: propertyPointer, message: 'is not an allowed property' });
+      } else if (isPlainObject(schema.additionalProperties)) {
+        validate(schema.additionalProperties, propertyValue, propertyPointer, violations);
+      }
+    });
+  }
+}
+
+// Fill in missing properties that declare a default, recursing into nested objects
+function applyDefaults(schema, value) {
+  if (!schema || !isPlainObject(value) || !schema.properties) return value;
+
+  Object.entries(schema.properties).forEach(([name, propertySchema]) => {
+    if (value[name] === undefined && propertySchema.default !== undefined) {
+      value[name] = structuredClone(propertySchema.default);
+    } else if (isPlainObject(value[name])) {
+      applyDefaults(propertySchema, value[name]);
+    }
+  });
+
+  return value;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return isPlainObject(value);
+    case 'null': return value === null;
+    default: return true;
+  }
+}
+
+// Patterns we can't compile are skipped, like other unsupported keywords
+function matchesPattern(pattern, value) {
+  try {
+    return new RegExp(pattern, 'u').test(value);
+  } catch {
+    return true;
+  }
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// RFC 6901: "~" and "/" must be escaped inside a pointer segment
+function escapePointer(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
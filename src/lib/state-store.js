@@ -0,0 +1,48 @@
+// Persistence for the hub's registry and workflow state across restarts.
+//
+// A store is any object with `load()` returning the last saved snapshot (or
+// null) and `save(snapshot)`; either may return a promise. STATE_STORE picks
+// one of:
+//
+//   file            JSON file at STATE_FILE, replaced atomically on every save (default)
+//   none            nothing persisted
+//   ./my-store.js   a module exporting `createStore({ file })`, e.g. backed by SQLite or Redis
+//
+// Snapshots are plain JSON: `{ version, savedAt, agents: [...], workflows: [...] }`.
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+export const SNAPSHOT_VERSION = 1;
+
+/**
+ * Create the store named by `kind` (see above). `file` is the snapshot path
+ * for the file store, and is passed on to custom stores.
+ */
+export async function createStateStore(kind, { file }) {
+  if (kind === 'none') return { load: () => null, save: () => {} };
+  if (kind === 'file') return createFileStore(file);
+
+  const module = await import(pathToFileURL(path.resolve(kind)).href);
+  if (typeof module.createStore !== 'function') {
+    throw new Error(`State store module ${kind} must export createStore()`);
+  }
+  return module.createStore({ file });
+}
+
+function createFileStore(filePath) {
+  return {
+    load() {
+      if (!fs.existsSync(filePath)) return null;
+      return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    },
+    // Written beside the snapshot and renamed over it, so a crash mid-write keeps the previous one
+    save(snapshot) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const temporaryPath = `${filePath}.tmp`;
+      fs.writeFileSync(temporaryPath, JSON.stringify(snapshot, null, 2));
+      fs.renameSync(temporaryPath, filePath);
+    }
+  };
+}
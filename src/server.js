@@ -1,738 +1,2026 @@
 import express from 'express';
 import http from 'http';
 import { WebSocketServer } from 'ws';
-import fs from 'fs/promises';
+import { readFile } from 'fs/promises';
 import path from 'path';
+import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import {
+  isJsonRpc,
+  fromJsonRpc,
+  toJsonRpc,
+  negotiateProtocolVersion,
+  toCallToolResult,
+  fromCallToolResult
+} from './lib/jsonrpc.js';
+import { validateArguments } from './lib/schema-validator.js';
+import { loadCredentials, authenticate } from './lib/auth.js';
+import { loadPolicy, authorize } from './lib/policy.js';
+import { loadLimits, acquire } from './lib/rate-limit.js';
+import { openAuditLog, redactArguments, queryAuditLog } from './lib/audit.js';
+import { createRegistry, CONTENT_TYPE as METRICS_CONTENT_TYPE } from './lib/metrics.js';
+import { createLogger } from './lib/logger.js';
+import { httpStatus, buildOpenApiDocument } from './lib/http-api.js';
+import { createStateStore, SNAPSHOT_VERSION } from './lib/state-store.js';
+import { loadFederation, isShared, isImported, openPeerLink } from './lib/federation.js';
+import { createResultStore, resultIdFromUri } from './lib/result-store.js';
+import { readResourceResult } from './lib/resources.js';
+import { SHUTDOWN_NOTICE } from './lib/reconnect.js';
+import { createCallStats } from './lib/call-stats.js';
+import { maxMessageSize } from './lib/message-limits.js';
 
 // Load environment variables
 dotenv.config();
 
+const log = createLogger('server');
+
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocketServer({ server });
+// Largest WebSocket message accepted; a connection sending a bigger one is closed with 1009
+const MAX_MESSAGE_SIZE = maxMessageSize();
+const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_SIZE });
+// Dashboards get their own read-only channel of hub events at /events; every other path is the MCP channel
+const DASHBOARD_PATH = '/events';
+const dashboardWss = new WebSocketServer({ noServer: true, maxPayload: 4096 });
+
+server.on('upgrade', (req, socket, head) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const target = pathname === DASHBOARD_PATH ? dashboardWss : wss;
+  target.handleUpgrade(req, socket, head, (ws) => target.emit('connection', ws, req));
+});
 
 // MCP Server State
-const agents = new Map(); // agentId -> { ws, tools, resources, capabilities }
-const toolRegistry = new Map(); // toolName -> { agentId, schema }
-const resourcePermissions = new Map(); // clientId -> Set<resourceURI>
-const workflows = new Map(); // workflowId -> { steps, currentStep, results }
-
-// Home page
-app.get('/', (req, res) => {
-  const agentList = Array.from(agents.keys());
-  const toolList = Array.from(toolRegistry.entries());
-  
-  res.send(`
-<!DOCTYPE html>
-<html>
-<head>
-  <title>MCP Protocol Demo</title>
-  <style>
-    body { font-family: sans-serif; max-width: 1000px; margin: 2rem auto; padding: 0 1rem; }
-    .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 2rem; border-radius: 12px; margin-bottom: 2rem; }
-    .status { background: #f0f8ff; padding: 1rem; border-radius: 8px; margin: 1rem 0; }
-    .agents { background: #f8f8f8; padding: 1rem; border-radius: 8px; margin: 1rem 0; }
-    .tools-section { background: #fff; border: 2px solid #e3f2fd; border-radius: 8px; margin: 1rem 0; }
-    .tools-header { background: #2196f3; color: white; padding: 1rem; border-radius: 6px 6px 0 0; }
-    .tools-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(300px, 1fr)); gap: 1rem; padding: 1rem; }
-    .tool-card { background: #f8f9fa; border: 1px solid #dee2e6; border-radius: 6px; padding: 1rem; }
-    .tool-name { font-weight: bold; color: #0066cc; margin-bottom: 0.5rem; }
-    .tool-agent { font-size: 0.8em; color: #666; margin-bottom: 0.5rem; }
-    .tool-desc { font-size: 0.9em; color: #333; }
-    .workflow-section { background: #fff; border: 2px solid #e8f5e8; border-radius: 8px; margin: 1rem 0; }
-    .workflow-header { background: #4caf50; color: white; padding: 1rem; border-radius: 6px 6px 0 0; }
-    .workflow-controls { padding: 1rem; }
-    .workflow-example { background: #f1f8e9; padding: 1rem; border-radius: 6px; margin: 1rem 0; font-family: monospace; font-size: 0.9em; }
-    .demo-section { background: #fff; border: 2px solid #fff3e0; border-radius: 8px; margin: 1rem 0; }
-    .demo-header { background: #ff9800; color: white; padding: 1rem; border-radius: 6px 6px 0 0; }
-    .demo-content { padding: 1rem; }
-    .demo-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 1rem; }
-    .demo-card { background: #fafafa; border: 1px solid #ddd; border-radius: 6px; padding: 1rem; text-align: center; }
-    .demo-button { background: #ff9800; color: white; border: none; padding: 0.5rem 1rem; border-radius: 4px; cursor: pointer; margin: 0.25rem; }
-    .demo-button:hover { background: #f57c00; }
-    code { background: #eee; padding: 2px 4px; border-radius: 3px; }
-    pre { background: #f8f8f8; padding: 1rem; border-radius: 8px; overflow-x: auto; }
-    .feature { margin: 1rem 0; padding: 1rem; background: #f9f9f9; border-left: 4px solid #2196f3; }
-    .success { color: #4caf50; }
-    .error { color: #f44336; }
-  </style>
-</head>
-<body>
-  <div class="header">
-    <h1>🔗 Model Context Protocol (MCP) Demo</h1>
-    <p>Real-time demonstration of MCP's standardized agent communication, tool discovery, resource management, and multi-agent orchestration.</p>
-  </div>
-  
-  <div class="status">
-    <h2>🚀 Server Status</h2>
-    <p class="success">✅ MCP Server running on port 8080</p>
-    <p>📡 Connected agents: <strong>${agentList.length}</strong></p>
-    <p>🔧 Available tools: <strong>${toolList.length}</strong></p>
-    <p>🔄 Workflows: <strong>Active</strong></p>
-  </div>
-  
-  <div class="agents">
-    <h2>🤖 Registered Agents</h2>
-    ${agentList.length > 0 
-      ? `<ul>${agentList.map(id => {
-          const agent = agents.get(id);
-          return `<li><code>${id}</code> - ${agent.tools.length} tools, ${agent.resources.length} resources</li>`;
-        }).join('')}</ul>`
-      : '<p>⚠️ No agents currently registered. Start agents using the commands below.</p>'
-    }
-  </div>
-  
-  ${toolList.length > 0 ? `
-  <div class="tools-section">
-    <div class="tools-header">
-      <h2>🔧 Tool Registry (Real MCP Feature)</h2>
-      <p>Agents register tools with schemas. Clients discover and invoke tools dynamically.</p>
-    </div>
-    <div class="tools-grid">
-      ${toolList.map(([name, {agentId, schema}]) => `
-        <div class="tool-card">
-          <div class="tool-name">${name}</div>
-          <div class="tool-agent">Provider: ${agentId}</div>
-          <div class="tool-desc">${schema.description}</div>
-        </div>
-      `).join('')}
-    </div>
-  </div>
-  ` : ''}
-  
-  <div class="workflow-section">
-    <div class="workflow-header">
-      <h2>⚡ Multi-Agent Workflows (Real MCP Feature)</h2>
-      <p>Orchestrate multiple agents to complete complex tasks through standardized tool composition.</p>
-    </div>
-    <div class="workflow-controls">
-      <h3>Example Workflow:</h3>
-      <div class="workflow-example">
-1. fetch_url("https://jsonplaceholder.typicode.com/posts/1")
-2. parse_json(response_data)
-3. write_file("fetched_post.json", parsed_data)
-4. calculate(file_size + 100)
-      </div>
-      <button onclick="runWorkflow()" class="demo-button">🚀 Run Example Workflow</button>
-      <div id="workflow-result" style="margin-top: 1rem;"></div>
-    </div>
-  </div>
-  
-  ${agentList.includes('orchestrator-agent') ? `
-  <div class="chat-section" style="background: #fff; border: 2px solid #4caf50; border-radius: 8px; margin: 1rem 0;">
-    <div class="chat-header" style="background: #4caf50; color: white; padding: 1rem; border-radius: 6px 6px 0 0;">
-      <h2 style="margin: 0;">🎭 Natural Language Interface (True MCP Experience)</h2>
-      <p style="margin: 0.5rem 0 0 0; opacity: 0.9;">Just tell me what you want - I'll coordinate the right agents automatically!</p>
-    </div>
-    <div class="chat-messages" id="chat-messages" style="height: 300px; overflow-y: auto; padding: 1rem; border-bottom: 1px solid #ddd;"></div>
-    <div class="chat-controls" style="padding: 1rem; display: flex; gap: 0.5rem;">
-      <input type="text" id="natural-input" placeholder="Try: 'read package.json', 'calculate 15 * 8', 'list files in src', 'fetch data from https://httpbin.org/json'" 
-             style="flex: 1; padding: 0.5rem; border: 1px solid #ddd; border-radius: 4px;" onkeypress="handleNaturalKeyPress(event)">
-      <button onclick="sendNaturalRequest()" style="padding: 0.5rem 1rem; background: #4caf50; color: white; border: none; border-radius: 4px; cursor: pointer;">Ask</button>
-    </div>
-    <div style="padding: 0 1rem 1rem; font-size: 0.9em; color: #666;">
-      <strong>Try these examples:</strong><br>
-      • "Read the package.json file"<br>
-      • "Calculate 25 * 4 + 10"<br>
-      • "Get statistics for numbers 10, 20, 30, 40, 50"<br>
-      • "List files in the src directory"<br>
-      • "Fetch data from https://jsonplaceholder.typicode.com/posts/1"
-    </div>
-  </div>
-  ` : `
-  <div style="background: #fff3cd; border: 1px solid #ffeaa7; border-radius: 8px; padding: 1rem; margin: 1rem 0;">
-    <h3>🎭 Natural Language Interface Available</h3>
-    <p>Start the orchestrator agent to enable natural language requests:</p>
-    <pre>npm run start-orchestrator</pre>
-    <p>Then refresh this page to see the chat interface!</p>
-  </div>
-  `}
-  
-  <div class="demo-section">
-    <div class="demo-header">
-      <h2>🎯 Try MCP Features</h2>
-      <p>Test real MCP protocol capabilities with these interactive demos.</p>
-    </div>
-    <div class="demo-content">
-      <div class="demo-grid">
-        <div class="demo-card">
-          <h3>📁 File Operations</h3>
-          <p>Secure file system access</p>
-          <button onclick="testTool('read_file', {path: 'package.json'})" class="demo-button">Read package.json</button>
-          <button onclick="testTool('list_files', {directory: 'src'})" class="demo-button">List src/</button>
-        </div>
-        <div class="demo-card">
-          <h3>🧮 Calculator</h3>
-          <p>Mathematical operations</p>
-          <button onclick="testTool('calculate', {expression: '2 + 3 * 4'})" class="demo-button">Calculate</button>
-          <button onclick="testTool('statistics', {numbers: [1,2,3,4,5], operations: ['mean', 'sum']})" class="demo-button">Statistics</button>
-        </div>
-        <div class="demo-card">
-          <h3>🌐 Web Requests</h3>
-          <p>HTTP API interactions</p>
-          <button onclick="testTool('fetch_url', {url: 'https://httpbin.org/json'})" class="demo-button">Fetch JSON</button>
-          <button onclick="testTool('check_status', {url: 'https://jsonplaceholder.typicode.com'})" class="demo-button">Check Status</button>
-        </div>
-        <div class="demo-card">
-          <h3>🔍 Tool Discovery</h3>
-          <p>Dynamic capability discovery</p>
-          <button onclick="discoverTools()" class="demo-button">List All Tools</button>
-          <button onclick="getResources()" class="demo-button">Get Resources</button>
-        </div>
-      </div>
-      <div id="demo-result" style="margin-top: 1rem; padding: 1rem; background: #f5f5f5; border-radius: 6px; display: none;">
-        <strong>Result:</strong>
-        <pre id="demo-output"></pre>
-      </div>
-    </div>
-  </div>
-  
-  <div class="feature">
-    <h2>🎯 What Makes This Actually MCP?</h2>
-    <ul>
-      <li><strong>Standardized Tool Discovery:</strong> Agents register tools with JSON schemas, clients discover them dynamically</li>
-      <li><strong>Resource Management:</strong> Secure access control for files, databases, APIs with permission system</li>
-      <li><strong>Multi-Agent Orchestration:</strong> Complex workflows spanning multiple specialized agents</li>
-      <li><strong>Protocol Standards:</strong> Consistent message formats, error handling, capability negotiation</li>
-      <li><strong>Composable Tools:</strong> Chain tools from different agents into powerful workflows</li>
-    </ul>
-  </div>
-  
-  <h2>🚀 Getting Started</h2>
-  <pre>
-# Terminal 1: Start MCP server
-npm run start-server
-
-# Terminal 2: Start all agents
-npm run start-file-agent &
-npm run start-calc-agent &
-npm run start-web-agent &
-
-# Or start individually:
-npm run start-file-agent
-npm run start-calc-agent  
-npm run start-web-agent
-
-# Then refresh this page to see tools!</pre>
-  
-  <p>🔗 <a href="/agents">View agents JSON</a> | <a href="https://github.com/modelcontextprotocol/specification">MCP Specification</a></p>
-  
-  <script>
-    let ws = null;
-    let messageId = 1;
-    
-    function connectWebSocket() {
-      if (ws && ws.readyState === WebSocket.OPEN) return;
-      
-      ws = new WebSocket('ws://localhost:8080');
-      
-      ws.onopen = () => {
-        console.log('Connected to MCP server');
-      };
-      
-      ws.onmessage = (event) => {
-        const msg = JSON.parse(event.data);
-        console.log('Received:', msg);
-        
-        if (msg.type === 'response') {
-          // Handle natural language responses
-          if (msg.id && msg.id.startsWith('natural-')) {
-            // Remove thinking indicator
-            const messages = document.getElementById('chat-messages');
-            if (messages && messages.lastChild) {
-              messages.removeChild(messages.lastChild);
-            }
-            
-            const result = msg.result;
-            if (result && result.response) {
-              addChatMessage('agent', 'Orchestrator', result.response);
-            } else {
-              addChatMessage('agent', 'Orchestrator', JSON.stringify(result, null, 2));
-            }
-          } else {
-            showResult(msg);
-          }
-        } else if (msg.type === 'error') {
-          if (msg.id && msg.id.startsWith('natural-')) {
-            const messages = document.getElementById('chat-messages');
-            if (messages && messages.lastChild) {
-              messages.removeChild(messages.lastChild);
-            }
-            addChatMessage('error', 'Error', msg.error?.message || 'Unknown error');
-          } else {
-            showResult(msg);
-          }
-        } else if (msg.type === 'workflow/result') {
-          showWorkflowResult(msg);
-        }
-      };
-      
-      ws.onclose = () => {
-        console.log('WebSocket closed, reconnecting...');
-        setTimeout(connectWebSocket, 1000);
-      };
-    }
-    
-    function showResult(msg) {
-      const resultDiv = document.getElementById('demo-result');
-      const outputPre = document.getElementById('demo-output');
-      resultDiv.style.display = 'block';
-      outputPre.textContent = JSON.stringify(msg.result || msg.error, null, 2);
-    }
-    
-    function showWorkflowResult(msg) {
-      const resultDiv = document.getElementById('workflow-result');
-      resultDiv.innerHTML = \`
-        <h4>Workflow \${msg.workflowId} - \${msg.status}</h4>
-        <pre>\${JSON.stringify(msg.results, null, 2)}</pre>
-      \`;
-    }
-    
-    function addChatMessage(type, sender, content) {
-      const messagesDiv = document.getElementById('chat-messages');
-      if (!messagesDiv) return;
-      
-      const messageDiv = document.createElement('div');
-      messageDiv.style.marginBottom = '1rem';
-      messageDiv.style.padding = '0.5rem';
-      messageDiv.style.borderRadius = '6px';
-      
-      if (type === 'user') {
-        messageDiv.style.background = '#e3f2fd';
-        messageDiv.style.textAlign = 'right';
-      } else if (type === 'agent') {
-        messageDiv.style.background = '#f1f8e9';
-      } else {
-        messageDiv.style.background = '#ffebee';
-        messageDiv.style.color = '#c62828';
-      }
-      
-      messageDiv.innerHTML = \`<strong>\${sender}:</strong> \${content}\`;
-      messagesDiv.appendChild(messageDiv);
-      messagesDiv.scrollTop = messagesDiv.scrollHeight;
-    }
-    
-    function sendNaturalRequest() {
-      const input = document.getElementById('natural-input');
-      const query = input.value.trim();
-      
-      if (!query) return;
-      
-      if (!ws || ws.readyState !== WebSocket.OPEN) {
-        addChatMessage('error', 'System', 'Not connected to server');
-        return;
-      }
-      
-      addChatMessage('user', 'You', query);
-      
-      const request = {
-        type: 'tools/call',
-        id: \`natural-\${messageId++}\`,
-        from: 'web-client',
-        params: {
-          name: 'natural_request',
-          arguments: { query }
-        }
-      };
-      
-      ws.send(JSON.stringify(request));
-      input.value = '';
-      
-      // Show thinking indicator
-      addChatMessage('agent', 'Orchestrator', '🤔 Thinking...');
-    }
-    
-    function handleNaturalKeyPress(event) {
-      if (event.key === 'Enter') {
-        sendNaturalRequest();
-      }
-    }
-    
-    function testTool(toolName, args) {
-      if (!ws || ws.readyState !== WebSocket.OPEN) {
-        alert('Not connected to server. Please wait...');
-        return;
-      }
-      
-      const request = {
-        type: 'tools/call',
-        id: \`test-\${messageId++}\`,
-        from: 'web-client',
-        params: { name: toolName, arguments: args }
-      };
-      
-      ws.send(JSON.stringify(request));
-    }
-    
-    function discoverTools() {
-      if (!ws || ws.readyState !== WebSocket.OPEN) {
-        alert('Not connected to server');
-        return;
-      }
-      
-      const request = {
-        type: 'tools/list',
-        id: \`discover-\${messageId++}\`,
-        from: 'web-client'
-      };
-      
-      ws.send(JSON.stringify(request));
-    }
-    
-    function getResources() {
-      const result = {
-        resources: [
-          { uri: 'file://src/', name: 'Source Code' },
-          { uri: 'file://package.json', name: 'Package Config' },
-          { uri: 'web://httpbin.org', name: 'HTTP Testing' }
-        ]
-      };
-      showResult({ result });
-    }
-    
-    function runWorkflow() {
-      if (!ws || ws.readyState !== WebSocket.OPEN) {
-        alert('Not connected to server');
-        return;
-      }
-      
-      const workflow = {
-        type: 'workflow/start',
-        id: \`workflow-\${messageId++}\`,
-        from: 'web-client',
-        params: {
-          steps: [
-            { tool: 'fetch_url', arguments: { url: 'https://jsonplaceholder.typicode.com/posts/1' } },
-            { tool: 'calculate', arguments: { expression: '42 * 2' } },
-            { tool: 'statistics', arguments: { numbers: [1,2,3,4,5], operations: ['mean', 'sum'] } }
-          ]
-        }
-      };
-      
-      ws.send(JSON.stringify(workflow));
-    }
-    
-    // Connect when page loads
-    connectWebSocket();
-  </script>
-</body>
-</html>
-  `);
+const agents = new Map(); // instanceId -> { ws, service, tools, resources, resourceTemplates, prompts, registeredAt, lastSeen, restoredAt, peer }
+const toolRegistry = new Map(); // qualifiedName ("service/toolName") -> { service, name, schema, providers: Set<instanceId>, nextProvider }
+const workflows = new Map(); // workflowId -> { steps, from, currentStep, results, clientWs, status }
+const resourceSubscriptions = new Map(); // uri -> { subscribers: Set<ws>, instanceId }
+const pendingCalls = new Map(); // callId -> { callerWs, originalId, instanceId, method, workflowId, ... }
+let callCounter = 0;
+let resourceReadCounter = 0;
+let promptCounter = 0;
+let workflowCounter = 0;
+
+// How a provider is picked when several agent instances serve the same tool
+const LOAD_BALANCING_STRATEGY = process.env.LOAD_BALANCING_STRATEGY || 'round-robin';
+
+// Agents are pinged every HEARTBEAT_INTERVAL and evicted after HEARTBEAT_TIMEOUT of silence
+const HEARTBEAT_INTERVAL = parseInt(process.env.HEARTBEAT_INTERVAL) || 15000;
+const HEARTBEAT_TIMEOUT = parseInt(process.env.HEARTBEAT_TIMEOUT) || HEARTBEAT_INTERVAL * 3;
+
+// How long a forwarded call may go unanswered. Tools can declare their own
+// `timeoutMs`, and TOOL_TIMEOUTS ("name=ms,...") overrides both per tool.
+const AGENT_COMMUNICATION_TIMEOUT = parseInt(process.env.AGENT_COMMUNICATION_TIMEOUT) || 10000;
+const TOOL_TIMEOUTS = new Map(
+  (process.env.TOOL_TIMEOUTS || '')
+    .split(',')
+    .map(entry => entry.trim().split('='))
+    .filter(([name, ms]) => name && parseInt(ms) > 0)
+    .map(([name, ms]) => [name.trim(), parseInt(ms)])
+);
+
+const SERVER_INFO = { name: 'mcp-prototype', version: '1.0.0' };
+
+// Agent and client credentials; without a credentials file every connection is trusted
+const AUTH_CONFIG = path.resolve(process.env.AUTH_CONFIG || 'auth.json');
+const credentials = loadCredentials(AUTH_CONFIG);
+if (!credentials) {
+  log.warn(`⚠️ Authentication disabled: no credentials file at ${AUTH_CONFIG}`);
+}
+
+// Who may call which tools and read which resources (see policy.example.json)
+const POLICY_CONFIG = path.resolve(process.env.POLICY_CONFIG || 'policy.json');
+const policy = loadPolicy(POLICY_CONFIG);
+
+// Rate limits and concurrency caps on tool calls (see limits.example.json)
+const LIMITS_CONFIG = path.resolve(process.env.LIMITS_CONFIG || 'limits.json');
+const limits = loadLimits(LIMITS_CONFIG);
+
+// Append-only record of every tool call and resource read
+const AUDIT_LOG = path.resolve(process.env.AUDIT_LOG || 'logs/audit.jsonl');
+const auditLog = openAuditLog(AUDIT_LOG);
+
+// Registry and workflow snapshots, restored on boot (STATE_STORE: file, none or a module path)
+const STATE_FILE = path.resolve(process.env.STATE_FILE || 'data/state.json');
+const stateStore = await createStateStore(process.env.STATE_STORE || 'file', { file: STATE_FILE });
+// Changes are batched into one snapshot per STATE_SAVE_DELAY
+const STATE_SAVE_DELAY = 200;
+let snapshotTimer = null;
+
+// Peer hubs to import tools from and share tools with (see peers.example.json)
+const PEERS_CONFIG = path.resolve(process.env.PEERS_CONFIG || 'peers.json');
+const federation = loadFederation(PEERS_CONFIG);
+
+// Agents restored from a snapshot are dropped if they haven't reconnected within this long
+const PENDING_RECONNECT_TIMEOUT = parseInt(process.env.PENDING_RECONNECT_TIMEOUT) || 60000;
+
+// Bytes a connection may leave unread. Past half of it, notifications that a later
+// one supersedes are dropped for that connection; past all of it, it is disconnected.
+const MAX_BUFFERED_BYTES = parseInt(process.env.MAX_BUFFERED_BYTES) || 8 * 1024 * 1024;
+const DROPPABLE_MESSAGES = new Set([
+  'notifications/progress',
+  'capabilities_updated',
+  'notifications/resources/updated',
+  'notifications/resources/list_changed',
+  'notifications/prompts/list_changed',
+  'dashboard/state',
+  'dashboard/event'
+]);
+
+// Tool results larger than this are stored under RESULTS_DIR for RESULT_TTL and
+// sent as a result:// reference instead
+const MAX_INLINE_RESULT_SIZE = parseInt(process.env.MAX_INLINE_RESULT_SIZE) || 1024 * 1024;
+const RESULTS_DIR = path.resolve(process.env.RESULTS_DIR || 'data/results');
+const RESULT_TTL = parseInt(process.env.RESULT_TTL) || 60 * 60 * 1000;
+const resultStore = createResultStore(RESULTS_DIR, { ttlMs: RESULT_TTL });
+
+// On SIGTERM/SIGINT new calls are refused while pending ones get up to
+// SHUTDOWN_DRAIN_TIMEOUT to finish; connections are told to wait SHUTDOWN_RETRY_AFTER
+// before redialing. Running workflows stop between steps and resume after the restart.
+const SHUTDOWN_DRAIN_TIMEOUT = parseInt(process.env.SHUTDOWN_DRAIN_TIMEOUT) || 30000;
+const SHUTDOWN_RETRY_AFTER = parseInt(process.env.SHUTDOWN_RETRY_AFTER) || 5000;
+// Requests refused once draining has begun
+const DRAINED_METHODS = new Set(['tools/call', 'resources/read', 'prompts/get', 'workflow/start']);
+let draining = false;
+
+// The dashboard (src/dashboard) is refreshed every DASHBOARD_REFRESH_INTERVAL with
+// per-tool figures over the last DASHBOARD_STATS_WINDOW, and lists recent workflows
+const DASHBOARD_DIR = fileURLToPath(new URL('./dashboard', import.meta.url));
+const DASHBOARD_REFRESH_INTERVAL = 2000;
+const DASHBOARD_STATS_WINDOW = 60000;
+const DASHBOARD_WORKFLOWS = 20;
+const callStats = createCallStats({ windowMs: DASHBOARD_STATS_WINDOW });
+
+// Prometheus metrics served at /metrics; gauges are read from server state at scrape time
+const metrics = createRegistry();
+const toolCallsTotal = metrics.counter('mcp_tool_calls_total', 'Tool calls by tool, agent and outcome (success or error code)');
+const toolCallDuration = metrics.histogram('mcp_tool_call_duration_seconds', 'Tool call latency from arrival to reply, for calls that reached an agent');
+const parseErrorsTotal = metrics.counter('mcp_message_parse_errors_total', 'WebSocket messages that could not be parsed or handled');
+parseErrorsTotal.inc({}, 0);
+const oversizedMessagesTotal = metrics.counter('mcp_oversized_messages_total', 'WebSocket messages over MAX_MESSAGE_SIZE; their connections were closed');
+oversizedMessagesTotal.inc({}, 0);
+const droppedMessagesTotal = metrics.counter('mcp_dropped_messages_total', 'Notifications dropped for connections with a backed-up outbound buffer');
+const slowConsumersTotal = metrics.counter('mcp_slow_consumer_disconnects_total', 'Connections closed for leaving more than MAX_BUFFERED_BYTES unread');
+slowConsumersTotal.inc({}, 0);
+const storedResultsTotal = metrics.counter('mcp_stored_results_total', 'Tool results over MAX_INLINE_RESULT_SIZE, sent by reference');
+storedResultsTotal.inc({}, 0);
+metrics.gauge('mcp_websocket_connections', 'Open WebSocket connections', () => wss.clients.size);
+metrics.gauge('mcp_registered_agents', 'Registered instances per agent', () => {
+  const counts = new Map();
+  agents.forEach(({ service }) => counts.set(service, (counts.get(service) || 0) + 1));
+  return Array.from(counts, ([agent, count]) => [{ agent }, count]);
 });
+metrics.gauge('mcp_workflows_in_flight', 'Workflows still running', () =>
+  Array.from(workflows.values()).filter(workflow => workflow.status === 'running').length
+);
+
+// Close code for connections rejected during the handshake (mirrors HTTP 401)
+const UNAUTHENTICATED_CLOSE_CODE = 4401;
+// Close code for dashboards whose identity may not read the dashboard (mirrors HTTP 403)
+const FORBIDDEN_CLOSE_CODE = 4403;
+// Close code for connections closed by a shutdown (RFC 6455 "going away")
+const GOING_AWAY_CLOSE_CODE = 1001;
+
+// Requests a JSON-RPC connection may send before completing the initialize handshake
+const PRE_INITIALIZE_METHODS = new Set(['initialize', 'notifications/initialized', 'ping']);
+
+// Live dashboard: a static page that follows the hub over DASHBOARD_PATH
+app.use(express.static(DASHBOARD_DIR));
 
 // Debug: HTTP endpoint to list registered agents
 app.get('/agents', (req, res) => {
-  res.json({ agents: Array.from(agents.keys()) });
+  res.json({
+    agents: Array.from(agents.entries(), ([instanceId, agent]) => ({
+      instanceId,
+      service: agent.service,
+      status: agentStatus(agent),
+      lastSeen: new Date(agent.lastSeen).toISOString(),
+      tools: agent.tools.map(tool => tool.name)
+    }))
+  });
+});
+
+// Prometheus scrape target
+app.get('/metrics', (req, res) => {
+  res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+});
+
+// Audit trail query: /audit?tool=write_file&client=web-client&since=2025-09-01&until=...&limit=100
+app.get('/audit', async (req, res) => {
+  const { principal, error } = authenticateHttp(req);
+  if (error) return sendHttpError(res, error);
+  
+  const decision = authorize(policy, { principal, action: 'audit/read' });
+  if (!decision.allowed) {
+    return sendHttpError(res, permissionDeniedError(decision));
+  }
+  
+  const { tool, client, since, until } = req.query;
+  if ((since && Number.isNaN(Date.parse(since))) || (until && Number.isNaN(Date.parse(until)))) {
+    return sendHttpError(res, { code: 'INVALID_ARGUMENTS', message: 'since and until must be dates' });
+  }
+  
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  try {
+    res.json({ entries: await queryAuditLog(AUDIT_LOG, { tool, client, since, until, limit }) });
+  } catch (error) {
+    sendHttpError(res, { code: 'INTERNAL_ERROR', message: error.message });
+  }
+});
+
+// REST API for callers that can't keep a WebSocket open; bodies are JSON
+app.use('/api', express.json({ limit: '1mb' }));
+
+app.get('/api/tools', (req, res) => {
+  const { error } = authenticateHttp(req);
+  if (error) return sendHttpError(res, error);
+  
+  res.json({ tools: listTools() });
+});
+
+// Synchronous tool call: the body is the tool's arguments, `?timeout=ms` shortens the deadline
+app.post('/api/tools/:name/call', (req, res) => {
+  const { principal, error } = authenticateHttp(req);
+  if (error) return sendHttpError(res, error);
+  
+  const timeout = req.query.timeout === undefined ? undefined : Number(req.query.timeout);
+  if (timeout !== undefined && !(Number.isInteger(timeout) && timeout > 0)) {
+    return sendHttpError(res, { code: 'INVALID_ARGUMENTS', message: 'timeout must be a positive number of milliseconds' });
+  }
+  
+  if (draining) return sendHttpError(res, shuttingDownError());
+  
+  const prepared = prepareToolCall(principal, req.params.name, req.body);
+  if (prepared.error) return rejectHttpCall(res, prepared.audit, prepared.error);
+  
+  const respond = (msg) => msg.type === 'error'
+    ? sendHttpError(res, msg.error || {})
+    : res.json({ result: fromCallToolResult(msg.result) });
+  
+  const dispatchError = startToolCall({ ...prepared.call, respond, requestedTimeoutMs: timeout });
+  if (dispatchError) return rejectHttpCall(res, prepared.audit, dispatchError);
+  
+  // A caller that hangs up cancels its call, like a disconnecting WebSocket
+  res.on('close', () => {
+    if (res.writableEnded) return;
+    pendingCalls.forEach((call, callId) => {
+      if (call.respond === respond) cancelForwardedCall(callId, call, 'Caller disconnected');
+    });
+  });
+});
+
+app.post('/api/workflows', (req, res) => {
+  const { principal, error } = authenticateHttp(req);
+  if (error) return sendHttpError(res, error);
+  
+  const steps = req.body?.steps;
+  const stepsError = workflowStepsError(steps);
+  if (stepsError) return sendHttpError(res, stepsError);
+  
+  if (draining) return sendHttpError(res, shuttingDownError());
+  
+  const workflowId = createWorkflow(principal, steps, null);
+  res.status(202).location(`/api/workflows/${workflowId}`).json({ workflowId, status: 'started' });
+  
+  executeWorkflowStep(workflowId);
+});
+
+app.get('/api/workflows/:id', (req, res) => {
+  const { principal, error } = authenticateHttp(req);
+  if (error) return sendHttpError(res, error);
+  
+  // With authentication on, workflows are only visible to whoever started them
+  const workflow = workflows.get(req.params.id);
+  if (!workflow || (credentials && workflow.from !== principal)) {
+    return sendHttpError(res, { code: 'WORKFLOW_NOT_FOUND', message: `Workflow ${req.params.id} not found` });
+  }
+  
+  res.json({
+    workflowId: req.params.id,
+    status: workflow.status,
+    completedSteps: workflow.results.length,
+    totalSteps: workflow.steps.length,
+    results: workflow.results,
+    ...(workflow.error && { error: workflow.error })
+  });
+});
+
+// Download a stored oversized result; only its caller can
+app.get('/api/results/:id', (req, res) => {
+  const { principal, error } = authenticateHttp(req);
+  if (error) return sendHttpError(res, error);
+  
+  const stored = resultStore.get(req.params.id, principal);
+  if (!stored) {
+    return sendHttpError(res, { code: 'RESOURCE_NOT_FOUND', message: `Result ${req.params.id} not found or expired` });
+  }
+  res.type('application/json').sendFile(stored.file);
+});
+
+// Malformed JSON bodies and other request errors, answered in the API's error format
+app.use('/api', (error, req, res, next) => {
+  sendHttpError(res, {
+    code: { 'entity.parse.failed': 'INVALID_JSON', 'entity.too.large': 'PAYLOAD_TOO_LARGE' }[error.type] || 'INTERNAL_ERROR',
+    message: error.message
+  }, error.status || 500);
+});
+
+// OpenAPI description of the REST API, generated from the registered tools
+app.get('/openapi.json', (req, res) => {
+  res.json(buildOpenApiDocument(listTools(), {
+    title: SERVER_INFO.name,
+    version: SERVER_INFO.version,
+    serverUrl: `${req.protocol}://${req.get('host')}`,
+    authenticated: Boolean(credentials)
+  }));
 });
 
 // MCP Protocol Message Handlers
 const messageHandlers = {
+  // JSON-RPC session handshake with protocol version and capability negotiation
+  initialize: (ws, msg) => {
+    const { protocolVersion, capabilities = {}, clientInfo = {} } = msg.params || {};
+    const negotiatedVersion = negotiateProtocolVersion(protocolVersion);
+    
+    ws.session = {
+      protocolVersion: negotiatedVersion,
+      clientInfo,
+      capabilities,
+      initialized: false
+    };
+    // A verified identity takes precedence over the self-reported client name
+    if (clientInfo.name && !ws.identity) ws.clientId = clientInfo.name;
+    
+    log.info(`${clientInfo.name || 'client'} initializing with protocol ${negotiatedVersion}`);
+    
+    send(ws, {
+      type: 'response',
+      id: msg.id,
+      result: {
+        protocolVersion: negotiatedVersion,
+        capabilities: {
+          tools: { listChanged: true },
+          resources: { subscribe: true, listChanged: true },
+          prompts: { listChanged: true },
+          experimental: { workflows: {} }
+        },
+        serverInfo: SERVER_INFO
+      }
+    });
+  },
+
+  'notifications/initialized': (ws) => {
+    if (ws.session) ws.session.initialized = true;
+  },
+
+  ping: (ws, msg) => {
+    send(ws, { type: 'response', id: msg.id, result: {} });
+  },
+
   // Agent Registration with Capabilities
   register: (ws, msg) => {
-    const { from: agentId, capabilities = {} } = msg;
+    // Replicas of one agent share a service name and register distinct instance IDs
+    const { from: service, instanceId = service, capabilities = {} } = msg;
+    
+    // Authenticated connections may only register as the agent they proved to be
+    if (ws.identity && (ws.identity.kind !== 'agent' || ws.identity.id !== service)) {
+      log.warn(`${ws.identity.id} tried to register as ${service}`);
+      return send(ws, {
+        type: 'error',
+        id: msg.id,
+        error: { code: 'IDENTITY_MISMATCH', message: `Connection authenticated as ${ws.identity.id} cannot register as ${service}` }
+      });
+    }
+    
+    // Everything registered here is iterated later, on other agents' connections too
+    const registrationError = registrationErrorFor(service, instanceId, capabilities);
+    if (registrationError) {
+      log.warn(`Rejected registration from ${service}: ${registrationError}`);
+      return send(ws, { type: 'error', id: msg.id, error: { code: 'INVALID_ARGUMENTS', message: registrationError } });
+    }
+    const previous = agents.get(instanceId);
+
+    // An instance ID belongs to one agent, and to one connection while it is open
+    if (previous && (previous.service !== service || (previous.ws && previous.ws !== ws && previous.ws.readyState === 1))) {
+      log.warn(`${service} tried to register as instance ${instanceId} of ${previous.service}`);
+      return send(ws, {
+        type: 'error',
+        id: msg.id,
+        error: { code: 'IDENTITY_MISMATCH', message: `Instance ${instanceId} is already registered by another connection` }
+      });
+    }
     const agentInfo = {
       ws,
+      service,
       tools: capabilities.tools || [],
       resources: capabilities.resources || [],
+      resourceTemplates: capabilities.resourceTemplates || [],
+      prompts: capabilities.prompts || [],
+      // Re-registering keeps the agent's place in short-name precedence
+      registeredAt: previous?.registeredAt ?? Date.now(),
       lastSeen: Date.now()
     };
     
-    agents.set(agentId, agentInfo);
-    ws.agentId = agentId;
+    // Re-registration replaces the agent's previous tool set
+    if (previous) unregisterTools(instanceId);
+    if (previous && !previous.ws) log.info(`Agent ${instanceId} reconnected after restart`);
     
-    // Register tools in global registry
-    agentInfo.tools.forEach(tool => {
-      toolRegistry.set(tool.name, { agentId, schema: tool });
-    });
+    agents.set(instanceId, agentInfo);
+    ws.instanceId = instanceId;
+    registerTools(instanceId, agentInfo);
     
-    console.log(`MCP: Agent ${agentId} registered with ${agentInfo.tools.length} tools, ${agentInfo.resources.length} resources`);
-    console.log(`Available tools: ${agentInfo.tools.map(t => t.name).join(', ')}`);
+    log.info(`Agent ${instanceId} (${service}) registered with ${agentInfo.tools.length} tools, ${agentInfo.resources.length} resources, ${agentInfo.resourceTemplates.length} resource templates`);
+    log.info(`Available tools: ${agentInfo.tools.map(t => t.name).join(', ')}`);
+    emitDashboardEvent('agent-connected', { instanceId, agent: service });
     
     // Send registration confirmation to the registering agent
-    ws.send(JSON.stringify({
+    send(ws, {
       type: 'registered',
-      for: agentId,
+      id: msg.id,
+      for: instanceId,
       serverCapabilities: {
-        tools: Array.from(toolRegistry.keys()),
-        resources: getAvailableResources(),
+        tools: listTools().map(tool => tool.name),
+        resources: listResources(),
         workflows: true
       }
-    }));
+    });
 
     // Broadcast updated capabilities to all other agents
-    const updatedCapabilities = {
-      type: 'capabilities_updated',
-      serverCapabilities: {
-        tools: Array.from(toolRegistry.keys()),
-        resources: getAvailableResources(),
-        workflows: true
-      }
-    };
+    broadcastCapabilities(ws);
     
-    agents.forEach((agent, id) => {
-      if (id !== agentId && agent.ws.readyState === 1) {
-        agent.ws.send(JSON.stringify(updatedCapabilities));
-      }
-    });
+    reassignResourceWatchers();
+    resumeWorkflows();
+    scheduleSnapshot();
+  },
+
+  // A peer hub opening a federation link to import tools shared with it
+  'peer/hello': (ws, msg) => {
+    const hubId = msg.params?.hubId;
+    const peer = federation?.peers.get(hubId);
+    if (!peer) {
+      return send(ws, {
+        type: 'error',
+        id: msg.id,
+        error: { code: 'UNKNOWN_PEER', message: `${hubId} is not a peer of this hub` }
+      });
+    }
+    if (ws.identity && ws.identity.id !== hubId) {
+      return send(ws, {
+        type: 'error',
+        id: msg.id,
+        error: { code: 'IDENTITY_MISMATCH', message: `Connection authenticated as ${ws.identity.id} cannot link as ${hubId}` }
+      });
+    }
+    
+    ws.peer = peer;
+    ws.clientId = hubId;
+    log.info(`Peer hub ${hubId} linked`);
+    send(ws, { type: 'response', id: msg.id, result: { hubId: federation.hubId } });
   },
 
   // Tool Discovery
   'tools/list': (ws, msg) => {
-    const tools = Array.from(toolRegistry.values()).map(({ agentId, schema }) => ({
-      ...schema,
-      provider: agentId
-    }));
+    // Peers see only what is shared with them, minus the tools they federated to us
+    const tools = ws.peer
+      ? listTools().filter(tool => isShared(ws.peer, tool) && !tool.hubPath?.includes(ws.peer.id))
+      : listTools();
     
-    ws.send(JSON.stringify({
+    send(ws, {
       type: 'response',
       id: msg.id,
       result: { tools }
-    }));
+    });
   },
 
   // Tool Execution
-  'tools/call': async (ws, msg) => {
-    const { name: toolName, arguments: args } = msg.params;
-    const toolInfo = toolRegistry.get(toolName);
+  'tools/call': (ws, msg) => {
+    const { name: toolName, arguments: args, _meta } = msg.params || {};
+    if (typeof toolName !== 'string') {
+      return send(ws, { type: 'error', id: msg.id, error: { code: 'INVALID_ARGUMENTS', message: 'tools/call needs the tool name in params.name' } });
+    }
     
-    if (!toolInfo) {
-      return ws.send(JSON.stringify({
-        type: 'error',
-        id: msg.id,
-        error: { code: 'TOOL_NOT_FOUND', message: `Tool ${toolName} not found` }
-      }));
+    const peerError = ws.peer && peerCallError(ws.peer, toolName, _meta?.hubPath);
+    if (peerError) return rejectCall(ws, msg, requestedToolAudit(msg.from, toolName, args), peerError);
+    
+    const prepared = prepareToolCall(msg.from || 'client', toolName, args);
+    if (prepared.error) return rejectCall(ws, msg, prepared.audit, prepared.error);
+    
+    const dispatchError = startToolCall({
+      ...prepared.call,
+      callerWs: ws,
+      originalId: msg.id,
+      progressToken: _meta?.progressToken,
+      hubPath: _meta?.hubPath
+    });
+    if (dispatchError) rejectCall(ws, msg, prepared.audit, dispatchError);
+  },
+
+  'resources/list': (ws, msg) => {
+    send(ws, { type: 'response', id: msg.id, result: { resources: listResources() } });
+  },
+
+  'resources/templates/list': (ws, msg) => {
+    send(ws, { type: 'response', id: msg.id, result: { resourceTemplates: listResourceTemplates() } });
+  },
+
+  'resources/subscribe': (ws, msg) => {
+    const { uri } = msg.params || {};
+    const principal = msg.from || 'client';
+    
+    if (typeof uri !== 'string') {
+      return send(ws, { type: 'error', id: msg.id, error: { code: 'INVALID_ARGUMENTS', message: 'resources/subscribe needs a uri string' } });
     }
     
-    const targetAgent = agents.get(toolInfo.agentId);
-    if (!targetAgent || targetAgent.ws.readyState !== 1) {
-      return ws.send(JSON.stringify({
-        type: 'error',
-        id: msg.id,
-        error: { code: 'AGENT_UNAVAILABLE', message: `Agent ${toolInfo.agentId} unavailable` }
-      }));
+    // Subscribing reveals changes, so it needs the same permission as reading
+    const decision = authorize(policy, { principal, action: 'resources/read', uri });
+    if (!decision.allowed) {
+      return send(ws, { type: 'error', id: msg.id, error: permissionDeniedError(decision) });
     }
     
-    // Forward tool call to agent
-    const forwardedMsg = {
-      type: 'tools/call',
-      id: msg.id,
-      from: msg.from || 'client',
-      params: { name: toolName, arguments: args },
-      _responseTarget: ws
+    if (!resolveResourceRoute(uri)) {
+      return send(ws, { type: 'error', id: msg.id, error: { code: 'RESOURCE_NOT_FOUND', message: `No agent serves ${uri}` } });
+    }
+    
+    subscribeResource(ws, uri);
+    log.info(`${principal} subscribed to ${uri}`);
+    send(ws, { type: 'response', id: msg.id, result: {} });
+  },
+
+  'resources/unsubscribe': (ws, msg) => {
+    unsubscribeResource(ws, msg.params?.uri);
+    send(ws, { type: 'response', id: msg.id, result: {} });
+  },
+
+  // Agents report changes to resources they publish
+  'notifications/resources/updated': (ws, msg) => {
+    if (!agents.has(ws.instanceId) || !msg.params?.uri) return;
+    notifyResourceUpdated(msg.params.uri);
+  },
+
+  'prompts/list': (ws, msg) => {
+    send(ws, { type: 'response', id: msg.id, result: { prompts: listPrompts() } });
+  },
+
+  // Render a prompt template on the agent that published it
+  'prompts/get': (ws, msg) => {
+    const { name, arguments: args = {} } = msg.params || {};
+    const principal = msg.from || 'client';
+    
+    const route = resolvePromptRoute(name);
+    const audit = {
+      action: 'prompts/get',
+      caller: principal,
+      prompt: route ? qualifyToolName(route.service, route.prompt.name) : name,
+      arguments: redactArguments(args),
+      startedAt: Date.now()
     };
+    if (!route) {
+      return rejectCall(ws, msg, audit, { code: 'PROMPT_NOT_FOUND', message: `Prompt ${name} not found` });
+    }
+    
+    // Prompt arguments are strings; check the required ones are present
+    const validation = validateArguments(promptArgumentsSchema(route.prompt), args);
+    if (!validation.valid) {
+      return rejectCall(ws, msg, audit, invalidArgumentsError(`prompt ${name}`, validation.violations));
+    }
+    
+    const decision = authorize(policy, {
+      principal,
+      action: 'prompts/get',
+      prompt: { name: route.prompt.name, qualifiedName: qualifyToolName(route.service, route.prompt.name) },
+      arguments: args
+    });
+    if (!decision.allowed) {
+      log.warn(`Denied ${principal} prompts/get ${name}: ${decision.reason}`);
+      return rejectCall(ws, msg, audit, permissionDeniedError(decision));
+    }
     
-    targetAgent.ws.send(JSON.stringify(forwardedMsg));
-    console.log(`MCP: Forwarding tool call ${toolName} to ${toolInfo.agentId}`);
+    const dispatched = dispatchPromptGet({ callerWs: ws, originalId: msg.id, from: principal, route, args, audit });
+    if (!dispatched) {
+      return rejectCall(ws, msg, audit, { code: 'AGENT_UNAVAILABLE', message: `No available provider for prompt ${name}` });
+    }
   },
 
   // Resource Access Request
   'resources/read': async (ws, msg) => {
-    const { uri } = msg.params;
-    const clientId = msg.from || 'client';
+    const { uri } = msg.params || {};
+    const principal = msg.from || 'client';
+    const audit = { action: 'resources/read', caller: principal, uri, startedAt: Date.now() };
     
-    // Check permissions
-    if (!hasResourcePermission(clientId, uri)) {
-      return ws.send(JSON.stringify({
-        type: 'error',
-        id: msg.id,
-        error: { code: 'PERMISSION_DENIED', message: `No permission to access ${uri}` }
-      }));
+    if (typeof uri !== 'string') {
+      return rejectCall(ws, msg, audit, { code: 'INVALID_ARGUMENTS', message: 'resources/read needs a uri string' });
     }
     
+    // Nothing awaits this handler, so a throw must become the caller's error rather than an unhandled rejection
     try {
-      if (uri.startsWith('file://')) {
-        const filePath = uri.replace('file://', '');
-        const content = await fs.readFile(path.resolve(filePath), 'utf-8');
-        
-        ws.send(JSON.stringify({
-          type: 'response',
-          id: msg.id,
-          result: { uri, mimeType: 'text/plain', text: content }
-        }));
-      } else {
-        throw new Error('Unsupported URI scheme');
+      // Stored oversized results are served by the hub itself, only to their caller
+      const resultId = resultIdFromUri(uri);
+      if (resultId !== null) return await readStoredResult(ws, msg, principal, resultId, audit);
+      
+      const decision = authorize(policy, { principal, action: 'resources/read', uri });
+      if (!decision.allowed) {
+        log.warn(`Denied ${principal} resources/read ${uri}: ${decision.reason}`);
+        return rejectCall(ws, msg, audit, permissionDeniedError(decision));
+      }
+      
+      // Forward to the agent that published the best-matching URI or template
+      const route = resolveResourceRoute(uri);
+      if (!route) {
+        return rejectCall(ws, msg, audit, { code: 'RESOURCE_NOT_FOUND', message: `No agent serves ${uri}` });
+      }
+      
+      const dispatched = dispatchResourceRead({ callerWs: ws, originalId: msg.id, from: principal, route, uri, audit });
+      if (!dispatched) {
+        return rejectCall(ws, msg, audit, { code: 'AGENT_UNAVAILABLE', message: `No available provider for ${uri}` });
       }
     } catch (error) {
-      ws.send(JSON.stringify({
-        type: 'error',
-        id: msg.id,
-        error: { code: 'READ_FAILED', message: error.message }
-      }));
+      log.error(`resources/read ${uri} failed`, error);
+      rejectCall(ws, msg, audit, { code: 'INTERNAL_ERROR', message: `Cannot read ${uri}: ${error.message}` });
     }
   },
 
   // Workflow Execution
-  'workflow/start': async (ws, msg) => {
-    const { steps } = msg.params;
-    const workflowId = `workflow-${Date.now()}`;
-    
-    workflows.set(workflowId, {
-      steps,
-      currentStep: 0,
-      results: [],
-      clientWs: ws,
-      status: 'running'
-    });
+  'workflow/start': (ws, msg) => {
+    const steps = msg.params?.steps;
+    const stepsError = workflowStepsError(steps);
+    if (stepsError) return send(ws, { type: 'error', id: msg.id, error: stepsError });
+    
+    const workflowId = createWorkflow(msg.from || 'client', steps, ws);
     
-    ws.send(JSON.stringify({
+    send(ws, {
       type: 'response',
       id: msg.id,
       result: { workflowId, status: 'started' }
-    }));
+    });
     
     executeWorkflowStep(workflowId);
   },
 
-  // Generic response handling
-  response: (ws, msg) => {
-    // Handle tool responses from agents
-    if (msg._responseTarget) {
-      msg._responseTarget.send(JSON.stringify(msg));
-    } else {
-      // Broadcast to all clients or handle differently
-      broadcastToClients(msg, ws);
-    }
-  }
+  // Progress from the agent working on a call, relayed under the caller's own token
+  'notifications/progress': (ws, msg) => {
+    const { progressToken, ...progress } = msg.params || {};
+    const call = pendingCalls.get(progressToken);
+    if (!call || call.instanceId !== ws.instanceId || call.progressToken === undefined || !call.callerWs) return;
+    
+    send(call.callerWs, {
+      type: 'notifications/progress',
+      params: { progressToken: call.progressToken, ...progress }
+    });
+  },
+  
+  // A caller giving up on one of its calls; the agent is told so it can stop working
+  'notifications/cancelled': (ws, msg) => {
+    const { requestId, reason } = msg.params || {};
+    
+    pendingCalls.forEach((call, callId) => {
+      if (call.callerWs !== ws || call.originalId !== requestId) return;
+      cancelForwardedCall(callId, call, reason);
+      log.info(`${msg.from || 'client'} cancelled ${call.method} ${requestId}${reason ? `: ${reason}` : ''}`);
+    });
+  },
+
+  // Agent replies are routed to the original caller via the pending call table
+  response: (ws, msg) => routeReply(ws, msg),
+  error: (ws, msg) => routeReply(ws, msg)
 };
 
 // Helper Functions
-function getAvailableResources() {
-  return [
-    { uri: 'file://src/', name: 'Source Code', description: 'Project source files' },
-    { uri: 'file://package.json', name: 'Package Config', description: 'Project configuration' }
-  ];
+// Resources published by registered agents. Replicas publish the same URIs,
+// so the first registration of each URI is listed.
+function listResources() {
+  return collectResources('resources', 'uri');
 }
 
-function hasResourcePermission(clientId, uri) {
-  // For demo: grant access to safe paths
-  const allowedPaths = ['src/', 'package.json', 'README.md'];
-  const resourcePath = uri.replace('file://', '');
-  return allowedPaths.some(allowed => resourcePath.includes(allowed));
+function listResourceTemplates() {
+  return collectResources('resourceTemplates', 'uriTemplate');
 }
 
-function broadcastToClients(msg, excludeWs = null) {
-  wss.clients.forEach(client => {
-    if (client !== excludeWs && client.readyState === 1) {
-      client.send(JSON.stringify(msg));
-    }
+function collectResources(field, key) {
+  const seen = new Map();
+  agents.forEach(agent => {
+    agent[field].forEach(resource => {
+      if (!seen.has(resource[key])) seen.set(resource[key], { ...resource, provider: agent.service });
+    });
   });
+  return Array.from(seen.values());
 }
 
-async function executeWorkflowStep(workflowId) {
-  const workflow = workflows.get(workflowId);
-  if (!workflow || workflow.currentStep >= workflow.steps.length) {
-    return completeWorkflow(workflowId);
-  }
+// Prompts published by registered agents. A name published by several services
+// belongs to the first to register; the others are listed under qualified names.
+function listPrompts() {
+  const owners = new Map(); // prompt name -> service
+  const listed = new Map(); // listed name -> prompt
   
-  const step = workflow.steps[workflow.currentStep];
-  console.log(`MCP: Executing workflow step ${workflow.currentStep + 1}: ${step.tool}`);
+  agents.forEach(agent => {
+    agent.prompts.forEach(prompt => {
+      if (!owners.has(prompt.name)) owners.set(prompt.name, agent.service);
+      const name = owners.get(prompt.name) === agent.service ? prompt.name : qualifyToolName(agent.service, prompt.name);
+      if (!listed.has(name)) listed.set(name, { ...prompt, name, provider: agent.service });
+    });
+  });
+  return Array.from(listed.values());
+}
+
+// Find the instances serving a prompt, by short or qualified name
+function resolvePromptRoute(name) {
+  let route = null;
   
-  // Execute step via tool call
-  const toolInfo = toolRegistry.get(step.tool);
-  if (!toolInfo) {
-    workflow.results.push({ error: `Tool ${step.tool} not found` });
-    workflow.currentStep++;
-    return executeWorkflowStep(workflowId);
+  agents.forEach((agent, instanceId) => {
+    const prompt = agent.prompts.find(candidate =>
+      candidate.name === name || qualifyToolName(agent.service, candidate.name) === name
+    );
+    if (!prompt || (route && route.service !== agent.service)) return;
+    
+    route = route || { service: agent.service, prompt, providers: new Set(), nextProvider: promptCounter++ };
+    route.providers.add(instanceId);
+  });
+  return route;
+}
+
+function promptArgumentsSchema(prompt) {
+  const promptArguments = prompt.arguments || [];
+  return {
+    type: 'object',
+    properties: Object.fromEntries(promptArguments.map(argument => [argument.name, { type: 'string' }])),
+    required: promptArguments.filter(argument => argument.required).map(argument => argument.name)
+  };
+}
+
+// Subscribers get notifications/resources/updated when a resource changes.
+// Only the agent serving a URI can see it change, on its own machine, so one
+// of its instances is sent resources/subscribe and reports changes back with
+// notifications/resources/updated. The subscription moves to another instance
+// when that one disconnects, and waits for the next to register if none is left.
+function subscribeResource(ws, uri) {
+  let subscription = resourceSubscriptions.get(uri);
+  if (!subscription) {
+    subscription = { subscribers: new Set(), instanceId: null };
+    resourceSubscriptions.set(uri, subscription);
+    assignResourceWatcher(uri, subscription);
   }
+  subscription.subscribers.add(ws);
+}
+
+function unsubscribeResource(ws, uri) {
+  const subscription = resourceSubscriptions.get(uri);
+  if (!subscription) return;
   
-  const targetAgent = agents.get(toolInfo.agentId);
-  if (!targetAgent) {
-    workflow.results.push({ error: `Agent ${toolInfo.agentId} unavailable` });
-    workflow.currentStep++;
-    return executeWorkflowStep(workflowId);
+  subscription.subscribers.delete(ws);
+  if (subscription.subscribers.size === 0) {
+    const watcher = agents.get(subscription.instanceId);
+    if (watcher?.ws) send(watcher.ws, { type: 'resources/unsubscribe', params: { uri } });
+    resourceSubscriptions.delete(uri);
   }
-  
-  // Send tool call to agent with workflow context
-  const msg = {
-    type: 'tools/call',
-    id: `${workflowId}-step-${workflow.currentStep}`,
-    params: { name: step.tool, arguments: step.arguments },
-    _workflowId: workflowId
-  };
-  
-  targetAgent.ws.send(JSON.stringify(msg));
 }
 
-function completeWorkflow(workflowId) {
-  const workflow = workflows.get(workflowId);
-  if (!workflow) return;
-  
-  workflow.status = 'completed';
+// Hand a subscribed URI to an instance serving it, if one is connected
+function assignResourceWatcher(uri, subscription) {
+  const route = resolveResourceRoute(uri);
+  subscription.instanceId = route && selectProvider(route);
+  if (!subscription.instanceId) return;
   
-  workflow.clientWs.send(JSON.stringify({
-    type: 'workflow/result',
+  send(agents.get(subscription.instanceId).ws, { type: 'resources/subscribe', params: { uri } });
+  log.debug(`Watching ${uri} on ${subscription.instanceId}`);
+}
+
+// Give subscriptions without a live watcher to the instances now registered
+function reassignResourceWatchers() {
+  resourceSubscriptions.forEach((subscription, uri) => {
+    if (agents.get(subscription.instanceId)?.ws) return;
+    assignResourceWatcher(uri, subscription);
+  });
+}
+
+function notifyResourceUpdated(uri) {
+  resourceSubscriptions.get(uri)?.subscribers.forEach(subscriber => {
+    send(subscriber, { type: 'notifications/resources/updated', params: { uri } });
+  });
+}
+
+// Tell agents and initialized JSON-RPC sessions that the tool registry changed
+function broadcastCapabilities(excludeWs = null) {
+  const updatedCapabilities = {
+    type: 'capabilities_updated',
+    serverCapabilities: {
+      tools: listTools().map(tool => tool.name),
+      resources: listResources(),
+      workflows: true
+    }
+  };
+  
+  wss.clients.forEach(client => {
+    if (client !== excludeWs && (client.instanceId || client.session?.initialized || client.peer)) {
+      send(client, updatedCapabilities);
+      // MCP clients track resources separately from tools
+      if (client.session?.initialized) {
+        send(client, { type: 'notifications/resources/list_changed' });
+        send(client, { type: 'notifications/prompts/list_changed' });
+      }
+    }
+  });
+  
+  pushDashboardState();
+}
+
+// Everything the dashboard shows, sent in full on connect and every DASHBOARD_REFRESH_INTERVAL
+function dashboardState() {
+  return {
+    server: { ...SERVER_INFO, hubId: federation?.hubId ?? null, draining, connections: wss.clients.size },
+    agents: Array.from(agents, ([instanceId, agent]) => ({
+      instanceId,
+      agent: agent.service,
+      status: agentStatus(agent),
+      peer: Boolean(agent.peer),
+      tools: agent.tools.length,
+      registeredAt: new Date(agent.registeredAt).toISOString(),
+      lastSeen: new Date(agent.lastSeen).toISOString()
+    })),
+    tools: listTools(),
+    stats: callStats.summary(),
+    calls: Array.from(pendingCalls, ([callId, call]) => describeCall(callId, call)),
+    workflows: Array.from(workflows, ([workflowId, workflow]) => describeWorkflow(workflowId, workflow))
+      .slice(-DASHBOARD_WORKFLOWS)
+  };
+}
+
+function pushDashboardState() {
+  if (dashboardWss.clients.size === 0) return;
+  
+  const state = { type: 'dashboard/state', params: dashboardState() };
+  dashboardWss.clients.forEach(ws => send(ws, state));
+}
+
+// Things happening between refreshes: agents coming and going, calls, workflow steps
+function emitDashboardEvent(kind, details) {
+  if (dashboardWss.clients.size === 0) return;
+  
+  const event = { type: 'dashboard/event', params: { kind, at: new Date().toISOString(), ...details } };
+  dashboardWss.clients.forEach(ws => send(ws, event));
+}
+
+function describeCall(callId, call) {
+  return {
+    callId,
+    method: call.method || 'request',
+    target: call.audit?.tool ?? call.uri ?? call.route?.prompt?.name ?? null,
+    caller: call.audit?.caller ?? call.from ?? null,
+    agent: call.instanceId,
+    workflowId: call.workflowId,
+    startedAt: new Date(call.audit?.startedAt ?? call.trackedAt).toISOString()
+  };
+}
+
+function describeWorkflow(workflowId, workflow) {
+  return {
     workflowId,
-    results: workflow.results,
-    status: 'completed'
+    from: workflow.from,
+    status: workflow.status,
+    completedSteps: workflow.results.length,
+    totalSteps: workflow.steps.length,
+    currentTool: workflow.steps[workflow.currentStep]?.tool ?? null
+  };
+}
+
+function qualifyToolName(service, toolName) {
+  return `${service}/${toolName}`;
+}
+
+// A tool entry is as old as its longest-registered provider
+function entryRegisteredAt(entry) {
+  return Math.min(...Array.from(entry.providers, instanceId => agents.get(instanceId).registeredAt));
+}
+
+// Look a tool up by qualified name, or by short name. When several services
+// publish the same short name, the service that registered first owns it and
+// the others are only reachable by qualified name.
+function resolveTool(name) {
+  if (toolRegistry.has(name)) return toolRegistry.get(name);
+  
+  let owner = null;
+  toolRegistry.forEach(entry => {
+    if (entry.name !== name) return;
+    if (!owner || entryRegisteredAt(entry) < entryRegisteredAt(owner)) {
+      owner = entry;
+    }
+  });
+  return owner;
+}
+
+// Pick a live provider instance for a tool, skipping instances already tried.
+// Degraded instances are only used when no healthy one is left.
+function selectProvider(entry, exclude = new Set()) {
+  const live = Array.from(entry.providers).filter(instanceId =>
+    !exclude.has(instanceId) && ['healthy', 'degraded'].includes(agentStatus(agents.get(instanceId)))
+  );
+  const healthy = live.filter(instanceId => agentStatus(agents.get(instanceId)) === 'healthy');
+  const candidates = healthy.length > 0 ? healthy : live;
+  if (candidates.length === 0) return null;
+  
+  if (LOAD_BALANCING_STRATEGY === 'least-in-flight') {
+    const inFlight = countInFlight();
+    return candidates.reduce((best, instanceId) =>
+      (inFlight.get(instanceId) || 0) < (inFlight.get(best) || 0) ? instanceId : best
+    );
+  }
+  
+  return candidates[entry.nextProvider++ % candidates.length];
+}
+
+function countInFlight() {
+  const counts = new Map();
+  pendingCalls.forEach(({ instanceId }) => counts.set(instanceId, (counts.get(instanceId) || 0) + 1));
+  return counts;
+}
+
+function dispatchToolCall(call) {
+  return forwardToProvider(call, call.tool, {
+    type: 'tools/call',
+    params: { name: call.tool.name, arguments: call.args }
+  });
+}
+
+function dispatchResourceRead(call) {
+  return forwardToProvider(call, call.route, { type: 'resources/read', params: { uri: call.uri } });
+}
+
+function dispatchPromptGet(call) {
+  return forwardToProvider(call, call.route, {
+    type: 'prompts/get',
+    params: { name: call.route.prompt.name, arguments: call.args }
+  });
+}
+
+// Forward a request to one of an entry's providers under a server-assigned ID,
+// so the reply can be routed back to this caller only. Returns false when no
+// provider is left to try.
+function forwardToProvider(call, entry, request) {
+  call.tried = call.tried || new Set();
+  const instanceId = selectProvider(entry, call.tried);
+  if (!instanceId) return false;
+  call.tried.add(instanceId);
+  
+  const callId = trackCall({ ...call, instanceId, method: request.type }, callTimeout(call, request.type));
+  
+  const meta = {
+    // Agents report progress against the call ID; it's mapped back to the caller's token
+    ...(call.progressToken !== undefined && { progressToken: callId }),
+    // Hubs the call has passed through, so a federated call can't come back around
+    ...(agents.get(instanceId).peer && { hubPath: [...(call.hubPath || []), federation.hubId] })
+  };
+  const params = Object.keys(meta).length > 0 ? { ...request.params, _meta: meta } : request.params;
+  
+  send(agents.get(instanceId).ws, {
+    ...request,
+    params,
+    id: callId,
+    from: call.from,
+    ...(call.workflowId && { _workflowId: call.workflowId })
+  });
+  
+  log.debug(`Forwarding ${request.type} ${request.params.name || request.params.uri} to ${instanceId}`);
+  return true;
+}
+
+// Find the agent instances serving a URI. Published resource URIs match as
+// prefixes and templates as patterns; the service with the longest literal
+// match wins, so `file://src/` beats `file://{path}`.
+function resolveResourceRoute(uri) {
+  let best = null;
+  
+  agents.forEach((agent, instanceId) => {
+    const length = resourceMatchLength(agent, uri);
+    if (length < 0) return;
+    
+    if (!best || length > best.length) {
+      best = { service: agent.service, length, providers: new Set() };
+    }
+    if (best.service === agent.service) best.providers.add(instanceId);
+  });
+  
+  return best && { service: best.service, providers: best.providers, nextProvider: resourceReadCounter++ };
+}
+
+// Length of the literal text an agent's resources match in a URI, or -1
+function resourceMatchLength(agent, uri) {
+  let length = -1;
+  agent.resources.forEach(resource => {
+    if (uri.startsWith(resource.uri)) length = Math.max(length, resource.uri.length);
+  });
+  agent.resourceTemplates.forEach(template => {
+    if (matchUriTemplate(template.uriTemplate, uri)) {
+      length = Math.max(length, template.uriTemplate.replace(/\{[^}]*\}/g, '').length);
+    }
+  });
+  return length;
+}
+
+// Level 1 URI templates: each {variable} matches one or more characters
+function matchUriTemplate(template, uri) {
+  const source = template
+    .split(/\{[^}]*\}/)
+    .map(literal => literal.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('(.+)');
+  return new RegExp(`^${source}$`).test(uri);
+}
+
+// Tool listing for clients: each tool's `name` is callable as-is, which is
+// the short name for its owner and the qualified name for shadowed duplicates
+function listTools() {
+  return Array.from(toolRegistry.entries()).map(([qualifiedName, entry]) => ({
+    ...entry.schema,
+    name: resolveTool(entry.name) === entry ? entry.name : qualifiedName,
+    qualifiedName,
+    provider: entry.service,
+    instances: Array.from(entry.providers),
+    status: toolStatus(entry)
   }));
+}
+
+// healthy: answered within the last heartbeat; degraded: missed a heartbeat;
+// offline: socket closed or silent past HEARTBEAT_TIMEOUT (about to be evicted);
+// pending-reconnect: restored from a snapshot, its socket not back yet
+function agentStatus(agent) {
+  if (agent && !agent.ws) return 'pending-reconnect';
+  if (!agent || agent.ws.readyState !== 1) return 'offline';
+  
+  const silence = Date.now() - agent.lastSeen;
+  if (silence > HEARTBEAT_TIMEOUT) return 'offline';
+  if (silence > HEARTBEAT_INTERVAL * 1.5) return 'degraded';
+  return 'healthy';
+}
+
+// A tool is as available as its best provider instance
+function toolStatus(entry) {
+  const statuses = Array.from(entry.providers, instanceId => agentStatus(agents.get(instanceId)));
+  return ['healthy', 'degraded', 'pending-reconnect'].find(status => statuses.includes(status)) || 'offline';
+}
+
+// Any frame from an agent's current socket proves it is alive
+function touchAgent(ws) {
+  const agent = agents.get(ws.instanceId);
+  if (agent?.ws === ws) agent.lastSeen = Date.now();
+}
+
+// Own properties only, so message types like toString or __proto__ are unknown
+function handlerFor(type) {
+  return Object.hasOwn(messageHandlers, type) ? messageHandlers[type] : null;
+}
+
+// A handler bug is the hub's fault, not a malformed message: answer the request it broke
+function answerHandlerError(ws, msg, error) {
+  log.error(`Failed to handle ${msg.type}${msg.id !== undefined ? ` ${msg.id}` : ''}`, error);
+  if (msg.id === undefined) return;
+  send(ws, {
+    type: 'error',
+    id: msg.id,
+    error: { code: 'INTERNAL_ERROR', message: `Could not handle ${msg.type}: ${error.message}` }
+  });
+}
+
+// Capability lists and the field each entry is identified by
+const CAPABILITY_KEYS = { tools: 'name', resources: 'uri', resourceTemplates: 'uriTemplate', prompts: 'name' };
+
+function registrationErrorFor(service, instanceId, capabilities) {
+  if (typeof service !== 'string' || !service) return 'register needs the agent ID in from';
+  if (typeof instanceId !== 'string' || !instanceId) return 'instanceId must be a non-empty string';
+  if (!capabilities || typeof capabilities !== 'object' || Array.isArray(capabilities)) return 'capabilities must be an object';
+  
+  const invalid = Object.entries(CAPABILITY_KEYS).find(([field, key]) => capabilities[field] !== undefined &&
+    (!Array.isArray(capabilities[field]) || capabilities[field].some(entry => typeof entry?.[key] !== 'string')));
+  return invalid ? `capabilities.${invalid[0]} must be an array of objects with a ${invalid[1]} string` : null;
+}
+
+// Forget a disconnected agent instance and fail the calls it was working on
+function unregisterAgent(instanceId, ws) {
+  emitDashboardEvent('agent-disconnected', { instanceId, agent: agents.get(instanceId)?.service });
+  
+  // Remove only this agent's tools from the registry
+  unregisterTools(instanceId);
+  agents.delete(instanceId);
+  log.info(`Agent ${instanceId} disconnected`);
+  log.info(`Remaining agents: ${Array.from(agents.keys())}`);
+  
+  // Unregistered first, so workflows moving on to their next step can't pick this agent
+  failAgentCalls(instanceId);
+  broadcastCapabilities(ws);
+  reassignResourceWatchers();
+  scheduleSnapshot();
+}
+
+// Register an instance's tools under their qualified names; instances of the
+// same service become additional providers
+function registerTools(instanceId, agent) {
+  const { service } = agent;
+  agent.tools.forEach(tool => {
+    const qualifiedName = qualifyToolName(service, tool.name);
+    const owner = resolveTool(tool.name);
+    if (owner && owner.service !== service && entryRegisteredAt(owner) <= agent.registeredAt) {
+      log.warn(`Tool ${tool.name} from ${service} collides with ${owner.service}; reachable as ${qualifiedName}`);
+    }
+    
+    const entry = toolRegistry.get(qualifiedName)
+      || { service, name: tool.name, providers: new Set(), nextProvider: 0 };
+    entry.schema = tool;
+    entry.providers.add(instanceId);
+    toolRegistry.set(qualifiedName, entry);
+  });
+}
+
+// Remove an instance from every tool it provides, dropping tools left without providers
+function unregisterTools(instanceId) {
+  toolRegistry.forEach((entry, qualifiedName) => {
+    entry.providers.delete(instanceId);
+    if (entry.providers.size === 0) toolRegistry.delete(qualifiedName);
+  });
+}
+
+function invalidArgumentsError(toolName, violations) {
+  return {
+    code: 'INVALID_ARGUMENTS',
+    message: `Invalid arguments for ${toolName}: ${violations.map(v => `${v.pointer || '(root)'} ${v.message}`).join('; ')}`,
+    violations
+  };
+}
+
+function authorizeToolCall(principal, entry, args) {
+  const decision = authorize(policy, {
+    principal,
+    action: 'tools/call',
+    tool: { name: entry.name, qualifiedName: qualifyToolName(entry.service, entry.name) },
+    arguments: args
+  });
+  if (!decision.allowed) {
+    log.warn(`Denied ${principal} tools/call ${entry.name}: ${decision.reason}`);
+  }
+  return decision;
+}
+
+// Resolve a tool call and run it past validation, authorization and rate limits.
+// Returns `{ call }` ready for startToolCall, or `{ error, audit }`; `audit` is
+// null when the call was refused before it named a tool with valid arguments.
+function prepareToolCall(principal, toolName, args) {
+  const tool = resolveTool(toolName);
+  if (!tool) {
+    return { error: { code: 'TOOL_NOT_FOUND', message: `Tool ${toolName} not found` }, audit: requestedToolAudit(principal, toolName, args) };
+  }
+  
+  // Check arguments against the tool's inputSchema and fill in defaults
+  const validation = validateArguments(tool.schema.inputSchema, args);
+  if (!validation.valid) {
+    return { error: invalidArgumentsError(toolName, validation.violations), audit: toolCallAudit(principal, tool, args) };
+  }
+  
+  const audit = toolCallAudit(principal, tool, validation.value);
+  
+  const decision = authorizeToolCall(principal, tool, validation.value);
+  if (!decision.allowed) return { error: permissionDeniedError(decision), audit };
+  
+  const slot = acquireCallSlot(principal, tool);
+  if (!slot.allowed) return { error: rateLimitedError(slot), audit };
+  
+  return { call: { from: principal, tool, args: validation.value, release: slot.release, audit } };
+}
+
+// Forward a prepared call to a provider. Returns an error if none could take it.
+function startToolCall(call) {
+  if (dispatchToolCall(call)) return null;
+  
+  call.release();
+  return { code: 'AGENT_UNAVAILABLE', message: `No available provider for ${call.tool.name}` };
+}
+
+function permissionDeniedError(decision) {
+  return { code: 'PERMISSION_DENIED', message: decision.reason, rule: decision.rule };
+}
+
+// Take a call's rate limit tokens and concurrency slots; `release` frees the slots
+function acquireCallSlot(principal, entry) {
+  const slot = acquire(limits, {
+    client: principal,
+    agent: entry.service,
+    tool: { name: entry.name, qualifiedName: qualifyToolName(entry.service, entry.name) }
+  });
+  if (!slot.allowed) {
+    log.warn(`Rate limited ${principal} tools/call ${entry.name}: ${slot.reason}`);
+  }
+  return slot;
+}
+
+function shuttingDownError() {
+  return {
+    code: 'SHUTTING_DOWN',
+    message: 'Server is shutting down, not accepting new requests',
+    retryAfter: Math.ceil(SHUTDOWN_RETRY_AFTER / 1000)
+  };
+}
+
+function shutdownNotice(reason) {
+  return {
+    type: SHUTDOWN_NOTICE,
+    params: { reason: reason || 'shutdown', drainMs: SHUTDOWN_DRAIN_TIMEOUT, retryAfterMs: SHUTDOWN_RETRY_AFTER }
+  };
+}
+
+function rateLimitedError(slot) {
+  return { code: 'RATE_LIMITED', message: slot.reason, rule: slot.rule, retryAfter: slot.retryAfter };
+}
+
+// Audit context for a tool call, completed by recordCall when the call ends
+function toolCallAudit(caller, entry, args) {
+  return {
+    action: 'tools/call',
+    caller,
+    tool: qualifyToolName(entry.service, entry.name),
+    arguments: redactArguments(args),
+    startedAt: Date.now()
+  };
+}
+
+// A refused call is audited under the tool name it asked for when that name
+// doesn't resolve; such names are kept out of the metrics, whose labels they'd flood
+function requestedToolAudit(caller, toolName, args) {
+  const entry = resolveTool(toolName);
+  if (entry) return toolCallAudit(caller, entry, args);
+  
+  return {
+    action: 'tools/call',
+    caller,
+    tool: String(toolName),
+    arguments: redactArguments(args),
+    startedAt: Date.now(),
+    unresolved: true
+  };
+}
+
+// Write a finished or refused call to the audit log and the call metrics
+function recordCall(audit, instanceId, error) {
+  const { startedAt, unresolved, ...entry } = audit;
+  const durationMs = Date.now() - startedAt;
+  auditLog.record({
+    timestamp: new Date(startedAt).toISOString(),
+    ...entry,
+    agent: instanceId || null,
+    outcome: error ? 'error' : 'success',
+    errorCode: error?.code || null,
+    durationMs
+  });
+  
+  if (audit.action !== 'tools/call' || unresolved) return;
+  
+  // Qualified names are "agent/tool"; agent IDs never contain a slash
+  const separator = audit.tool.indexOf('/');
+  const labels = { tool: audit.tool.slice(separator + 1), agent: audit.tool.slice(0, separator) };
+  toolCallsTotal.inc({ ...labels, outcome: error ? error.code || 'UNKNOWN' : 'success' });
+  if (instanceId) toolCallDuration.observe(labels, durationMs / 1000);
+  
+  callStats.record(audit.tool, durationMs, error ? error.code || 'UNKNOWN' : null);
+  emitDashboardEvent('call-finished', {
+    tool: audit.tool,
+    caller: audit.caller,
+    agent: instanceId || null,
+    workflowId: audit.workflowId ?? null,
+    outcome: error ? error.code || 'UNKNOWN' : 'success',
+    durationMs
+  });
+}
+
+// Refuse a call before it reaches an agent, leaving a trace in the audit log and metrics
+function rejectCall(ws, msg, audit, error) {
+  if (audit) recordCall(audit, null, error);
+  send(ws, { type: 'error', id: msg.id, error });
+}
+
+function rejectHttpCall(res, audit, error) {
+  if (audit) recordCall(audit, null, error);
+  sendHttpError(res, error);
+}
+
+// A forwarded call is over: free its rate limit slots and record it
+function finishCall(call, error) {
+  if (call.finished) return;
+  call.finished = true;
+  
+  call.release?.();
+  if (call.audit) recordCall(call.audit, call.instanceId, error);
+}
+
+// Tools report failure in their result rather than as an error message
+function toolFailure(result) {
+  return result?.success === false || result?.isError ? { code: 'TOOL_FAILED' } : null;
+}
+
+// Send an envelope, translating it for connections that speak JSON-RPC
+function send(ws, msg) {
+  if (ws?.readyState !== 1) return;
+  
+  // A connection that doesn't keep up loses superseded notifications first, then the connection
+  if (ws.bufferedAmount > MAX_BUFFERED_BYTES) return disconnectSlowConsumer(ws);
+  if (ws.bufferedAmount > MAX_BUFFERED_BYTES / 2 && DROPPABLE_MESSAGES.has(msg.type)) {
+    droppedMessagesTotal.inc({ type: msg.type });
+    return;
+  }
+  ws.send(JSON.stringify(ws.jsonrpc ? toJsonRpc(msg) : msg));
+}
+
+function disconnectSlowConsumer(ws) {
+  log.warn(`Disconnecting ${ws.instanceId || ws.clientId || 'client'}: ${ws.bufferedAmount} bytes unread`);
+  slowConsumersTotal.inc();
+  ws.terminate();
+}
+
+// Swap a tool result too large to pass on for a reference to a stored copy.
+// Peer hubs get it inline and apply their own limit, so the reference is one they can resolve.
+function storeOversizedResult(call, result) {
+  if (call.callerWs?.peer) return result;
+  
+  const serialized = JSON.stringify(fromCallToolResult(result));
+  const size = serialized === undefined ? 0 : Buffer.byteLength(serialized);
+  if (size <= MAX_INLINE_RESULT_SIZE) return result;
+  
+  const owner = call.audit?.caller ?? call.from;
+  storedResultsTotal.inc();
+  log.info(`Stored ${size}-byte result of ${call.tool?.name || call.method} for ${owner}`);
+  return resultStore.save(owner, serialized);
+}
+
+async function readStoredResult(ws, msg, principal, resultId, audit) {
+  const stored = resultStore.get(resultId, principal);
+  if (!stored) {
+    return rejectCall(ws, msg, audit, { code: 'RESOURCE_NOT_FOUND', message: `${msg.params.uri} not found or expired` });
+  }
+  
+  const result = readResourceResult(msg.params.uri, 'application/json', await readFile(stored.file));
+  recordCall(audit, null, null);
+  send(ws, { type: 'response', id: msg.id, result: ws.jsonrpc ? result : result.contents[0] });
+}
+
+// HTTP callers authenticate like WebSocket connections; without a credentials file they act as `client`
+function authenticateHttp(req) {
+  if (!credentials) return { principal: 'client' };
+  
+  const { identity, error } = authenticate(req, credentials);
+  return error ? { error } : { principal: identity.id };
+}
+
+// Errors in the REST API's `{ error: { code, message } }` format, with the status their code maps to
+function sendHttpError(res, error, status = httpStatus(error.code)) {
+  if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+  res.status(status).json({ error });
+}
+
+function trackCall(call, timeoutMs = AGENT_COMMUNICATION_TIMEOUT) {
+  const callId = `call-${++callCounter}`;
+  pendingCalls.set(callId, {
+    callerWs: null,
+    method: null,
+    workflowId: null,
+    ...call,
+    trackedAt: Date.now(),
+    timeoutMs,
+    timer: setTimeout(() => timeOutCall(callId), timeoutMs)
+  });
+  emitDashboardEvent('call-started', describeCall(callId, pendingCalls.get(callId)));
+  return callId;
+}
+
+// Stop tracking a call and its timer. Returns the call if it was still pending.
+function settleCall(callId) {
+  const call = pendingCalls.get(callId);
+  if (!call) return null;
+  
+  clearTimeout(call.timer);
+  pendingCalls.delete(callId);
+  emitDashboardEvent('call-settled', { callId });
+  return call;
+}
+
+// Server config wins over the tool's own declaration. Callers may ask for a
+// shorter deadline, never a longer one.
+function callTimeout(call, method) {
+  const timeoutMs = method === 'tools/call' ? toolTimeout(call.tool) : AGENT_COMMUNICATION_TIMEOUT;
+  return call.requestedTimeoutMs ? Math.min(call.requestedTimeoutMs, timeoutMs) : timeoutMs;
+}
+
+function toolTimeout(tool) {
+  return TOOL_TIMEOUTS.get(qualifyToolName(tool.service, tool.name))
+    ?? TOOL_TIMEOUTS.get(tool.name)
+    ?? tool.schema.timeoutMs
+    ?? AGENT_COMMUNICATION_TIMEOUT;
+}
+
+// The agent took too long: fail the call for the caller and tell the agent to stop
+function timeOutCall(callId) {
+  const call = pendingCalls.get(callId);
+  if (!call) return;
+  
+  log.warn(`${call.method || 'request'} ${callId} to ${call.instanceId} timed out after ${call.timeoutMs}ms`);
+  deliverReply(call, {
+    type: 'error',
+    id: callId,
+    error: { code: 'TIMEOUT', message: `No reply from ${call.instanceId} within ${call.timeoutMs}ms` }
+  });
+  cancelForwardedCall(callId, call, 'Timed out');
+}
+
+// Fail every call an agent instance was working on; it will never answer them
+function failAgentCalls(instanceId) {
+  pendingCalls.forEach((call, callId) => {
+    if (call.instanceId !== instanceId) return;
+    
+    settleCall(callId);
+    deliverReply(call, {
+      type: 'error',
+      id: callId,
+      error: { code: 'AGENT_DISCONNECTED', message: `${instanceId} disconnected before replying` }
+    });
+  });
+}
+
+function routeReply(ws, msg) {
+  const call = pendingCalls.get(msg.id);
   
-  console.log(`MCP: Workflow ${workflowId} completed with ${workflow.results.length} results`);
+  // Only the agent the call was forwarded to may answer it
+  if (!call || call.instanceId !== ws.instanceId) {
+    log.warn(`Dropping ${msg.type} for unknown call ${msg.id} from ${ws.instanceId || 'unregistered connection'}`);
+    return;
+  }
+  settleCall(msg.id);
+  deliverReply(call, msg);
 }
 
-wss.on('connection', (ws) => {
+// Hand a reply, or an error standing in for one, to whoever is waiting on the call
+function deliverReply(call, msg) {
+  // Fail over to another instance when the chosen one can't serve the call
+  const redispatch = {
+    'tools/call': dispatchToolCall,
+    'resources/read': dispatchResourceRead,
+    'prompts/get': dispatchPromptGet
+  }[call.method];
+  if (msg.type === 'error' && msg.error?.code === 'AGENT_UNAVAILABLE' && redispatch) {
+    log.info(`${call.instanceId} unavailable for ${call.method}, retrying on another instance`);
+    if (redispatch(call)) return;
+  }
+  finishCall(call, msg.type === 'error' ? msg.error || {} : toolFailure(msg.result));
+  
+  if (call.method === 'tools/call' && msg.type === 'response') {
+    msg = { ...msg, result: storeOversizedResult(call, msg.result) };
+  }
+  
+  if (call.workflowId) {
+    return advanceWorkflow(call.workflowId, msg.type === 'error'
+      ? { error: msg.error?.message || 'Unknown error', code: msg.error?.code }
+      : fromCallToolResult(msg.result));
+  }
+  
+  // HTTP callers are waiting on a response rather than a socket
+  if (call.respond) return call.respond(msg);
+  
+  const { _workflowId, ...reply } = msg;
+  if (call.method === 'tools/call' && msg.type === 'response') {
+    // JSON-RPC callers get MCP content arrays, legacy callers the plain result
+    reply.result = call.callerWs.jsonrpc ? toCallToolResult(msg.result) : fromCallToolResult(msg.result);
+  }
+  if (call.method === 'resources/read' && msg.type === 'response' && !call.callerWs.jsonrpc) {
+    // Legacy callers have always received the resource itself
+    const contents = msg.result?.contents;
+    if (contents?.length === 1) reply.result = contents[0];
+  }
+  send(call.callerWs, { ...reply, id: call.originalId });
+}
+
+// Stop tracking a call and tell its agent; a reply that still arrives is dropped
+function cancelForwardedCall(callId, call, reason) {
+  settleCall(callId);
+  finishCall(call, { code: 'CANCELLED' });
+  
+  const agent = agents.get(call.instanceId);
+  if (agent) {
+    send(agent.ws, { type: 'notifications/cancelled', params: { requestId: callId, reason } });
+  }
+}
+
+// Both entry points check steps up front; a bad step would otherwise only fail once the workflow reached it
+function workflowStepsError(steps) {
+  const valid = Array.isArray(steps) && steps.length > 0 && steps.every(step =>
+    typeof step?.tool === 'string' &&
+    (step.arguments === undefined || (typeof step.arguments === 'object' && step.arguments !== null && !Array.isArray(step.arguments))));
+  return valid ? null : { code: 'INVALID_ARGUMENTS', message: 'steps must be a non-empty array of { tool, arguments }' };
+}
+
+function createWorkflow(from, steps, clientWs) {
+  const workflowId = `workflow-${Date.now()}-${++workflowCounter}`;
+  workflows.set(workflowId, {
+    steps,
+    from,
+    currentStep: 0,
+    results: [],
+    clientWs,
+    status: 'running'
+  });
+  emitDashboardEvent('workflow-updated', describeWorkflow(workflowId, workflows.get(workflowId)));
+  scheduleSnapshot();
+  return workflowId;
+}
+
+async function executeWorkflowStep(workflowId) {
+  // Nothing awaits a step, so a throw must fail its workflow rather than the hub
+  try {
+    const workflow = workflows.get(workflowId);
+    if (!workflow || workflow.currentStep >= workflow.steps.length) {
+      return completeWorkflow(workflowId);
+    }
+    
+    // Left at this step for the snapshot; it runs when the next server resumes the workflow
+    if (draining) return;
+    
+    const step = workflow.steps[workflow.currentStep];
+    log.info(`Executing workflow step ${workflow.currentStep + 1}: ${step.tool}`);
+    
+    // Steps run with the permissions of whoever started the workflow
+    const prepared = prepareToolCall(workflow.from, step.tool, step.arguments);
+    if (prepared.error) {
+      recordCall({ ...prepared.audit, workflowId }, null, prepared.error);
+      const { message, ...details } = prepared.error;
+      return advanceWorkflow(workflowId, { error: message, ...details });
+    }
+    
+    // Send tool call to agent with workflow context
+    const audit = { ...prepared.call.audit, workflowId };
+    const dispatchError = startToolCall({
+      ...prepared.call,
+      originalId: `${workflowId}-step-${workflow.currentStep}`,
+      from: 'workflow',
+      workflowId,
+      audit
+    });
+    if (dispatchError) {
+      recordCall(audit, null, dispatchError);
+      advanceWorkflow(workflowId, { error: dispatchError.message, code: dispatchError.code });
+    }
+  } catch (error) {
+    failWorkflow(workflowId, error);
+  }
+}
+
+function advanceWorkflow(workflowId, result) {
+  const workflow = workflows.get(workflowId);
+  if (!workflow) return;
+  
+  workflow.results.push(result);
+  workflow.currentStep++;
+  emitDashboardEvent('workflow-updated', describeWorkflow(workflowId, workflow));
+  scheduleSnapshot();
+  executeWorkflowStep(workflowId);
+}
+
+function completeWorkflow(workflowId) {
+  const workflow = workflows.get(workflowId);
+  if (!workflow) return;
+  
+  workflow.status = 'completed';
+  emitDashboardEvent('workflow-updated', describeWorkflow(workflowId, workflow));
+  
+  // Workflows started over HTTP are polled for instead
+  if (workflow.clientWs) {
+    send(workflow.clientWs, {
+      type: 'workflow/result',
+      workflowId,
+      results: workflow.results,
+      status: 'completed'
+    });
+  }
+  
+  log.info(`Workflow ${workflowId} completed with ${workflow.results.length} results`);
+  scheduleSnapshot();
+}
+
+function failWorkflow(workflowId, error) {
+  const workflow = workflows.get(workflowId);
+  if (!workflow) return;
+  
+  log.error(`Workflow ${workflowId} failed at step ${workflow.currentStep + 1}`, error);
+  workflow.status = 'failed';
+  workflow.error = { code: 'INTERNAL_ERROR', message: error.message };
+  emitDashboardEvent('workflow-updated', describeWorkflow(workflowId, workflow));
+  
+  if (workflow.clientWs) {
+    send(workflow.clientWs, {
+      type: 'workflow/result',
+      workflowId,
+      results: workflow.results,
+      status: 'failed',
+      error: workflow.error
+    });
+  }
+  scheduleSnapshot();
+}
+
+// Restored workflows re-run the step that was in flight when the server
+// stopped, once an agent serving it is back or nothing is left to wait for
+function resumeWorkflows() {
+  workflows.forEach((workflow, workflowId) => {
+    if (!workflow.awaitingAgent) return;
+    
+    const step = workflow.steps[workflow.currentStep];
+    const entry = step && resolveTool(step.tool);
+    if (entry && toolStatus(entry) === 'pending-reconnect') return;
+    
+    workflow.awaitingAgent = false;
+    log.info(`Resuming workflow ${workflowId} at step ${workflow.currentStep + 1}`);
+    executeWorkflowStep(workflowId);
+  });
+}
+
+// Registry metadata and workflow progress; sockets, timers and in-flight calls aren't kept
+function snapshotState() {
+  return {
+    version: SNAPSHOT_VERSION,
+    savedAt: new Date().toISOString(),
+    agents: Array.from(agents, ([instanceId, agent]) => ({
+      instanceId,
+      service: agent.service,
+      tools: agent.tools,
+      resources: agent.resources,
+      resourceTemplates: agent.resourceTemplates,
+      prompts: agent.prompts,
+      registeredAt: agent.registeredAt,
+      lastSeen: agent.lastSeen
+    })),
+    workflows: Array.from(workflows, ([workflowId, workflow]) => ({
+      workflowId,
+      steps: workflow.steps,
+      from: workflow.from,
+      currentStep: workflow.currentStep,
+      results: workflow.results,
+      status: workflow.status,
+      error: workflow.error
+    }))
+  };
+}
+
+// While draining, the final save covers every change; agents disconnecting at the end must not be saved as gone
+function scheduleSnapshot() {
+  if (draining) return;
+  if (!snapshotTimer) snapshotTimer = setTimeout(saveState, STATE_SAVE_DELAY);
+}
+
+async function saveState() {
+  clearTimeout(snapshotTimer);
+  snapshotTimer = null;
+  try {
+    await stateStore.save(snapshotState());
+  } catch (error) {
+    log.error('Could not save server state', error);
+  }
+}
+
+// Agents come back as pending-reconnect with their last known tools, so
+// tools/list keeps showing them until their sockets return
+async function restoreState() {
+  let snapshot;
+  try {
+    snapshot = await stateStore.load();
+  } catch (error) {
+    log.error('Could not load saved server state, starting empty', error);
+    return;
+  }
+  if (!snapshot) return;
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    log.warn(`Ignoring state snapshot with unknown version ${snapshot.version}`);
+    return;
+  }
+  
+  const restoredAt = Date.now();
+  snapshot.agents.forEach(({ instanceId, ...agent }) => {
+    agents.set(instanceId, { ...agent, ws: null, restoredAt });
+    registerTools(instanceId, agent);
+  });
+  snapshot.workflows.forEach(({ workflowId, ...workflow }) => {
+    // Snapshots written before steps were checked may hold workflows that can't run
+    if (workflowStepsError(workflow.steps)) {
+      log.warn(`Not resuming workflow ${workflowId}: its steps are invalid`);
+      workflow.status = 'failed';
+      workflow.steps = Array.isArray(workflow.steps) ? workflow.steps : [];
+      workflow.error = workflowStepsError(workflow.steps);
+    }
+    workflows.set(workflowId, { ...workflow, clientWs: null, awaitingAgent: workflow.status === 'running' });
+  });
+  log.info(`Restored ${snapshot.agents.length} agents and ${snapshot.workflows.length} workflows saved at ${snapshot.savedAt}`);
+  
+  if (snapshot.agents.length > 0) setTimeout(dropPendingAgents, PENDING_RECONNECT_TIMEOUT);
+  resumeWorkflows();
+}
+
+// Restored agents that never came back: forget their tools and let waiting workflows move on
+function dropPendingAgents() {
+  const dropped = Array.from(agents.keys()).filter(instanceId => !agents.get(instanceId).ws);
+  if (dropped.length === 0) return;
+  
+  dropped.forEach(instanceId => {
+    emitDashboardEvent('agent-disconnected', { instanceId, agent: agents.get(instanceId).service });
+    unregisterTools(instanceId);
+    agents.delete(instanceId);
+  });
+  log.warn(`Dropped agents that didn't reconnect within ${PENDING_RECONNECT_TIMEOUT}ms: ${dropped.join(', ')}`);
+  
+  broadcastCapabilities();
+  resumeWorkflows();
+  scheduleSnapshot();
+}
+
+wss.on('connection', (ws, req) => {
+  if (credentials) {
+    const { identity, error } = authenticate(req, credentials);
+    if (error) {
+      log.warn(`Rejected connection: ${error.message}`);
+      return ws.close(UNAUTHENTICATED_CLOSE_CODE, error.code);
+    }
+    ws.identity = identity;
+    ws.clientId = identity.id;
+  }
+  
+  ws.on('pong', () => touchAgent(ws));
+  if (draining) send(ws, shutdownNotice());
+  
+  // Protocol violations, including messages over MAX_MESSAGE_SIZE, end with the connection closing
+  ws.on('error', (error) => {
+    if (error.code === 'WS_ERR_UNSUPPORTED_MESSAGE_LENGTH') oversizedMessagesTotal.inc();
+    log.warn(`Closing ${ws.instanceId || ws.clientId || 'connection'}: ${error.message}`);
+  });
+  
   ws.on('message', (raw) => {
+    touchAgent(ws);
+    let msg;
     try {
-      const msg = JSON.parse(raw.toString());
-      console.log('MCP SERVER RECV:', msg);
-
-      // Handle workflow responses
-      if (msg._workflowId && msg.type === 'response') {
-        const workflow = workflows.get(msg._workflowId);
-        if (workflow) {
-          workflow.results.push(msg.result);
-          workflow.currentStep++;
-          executeWorkflowStep(msg._workflowId);
-          return;
+      msg = JSON.parse(raw.toString());
+    } catch (e) {
+      msg = null;
+    }
+    // Without an object there is no id to answer under
+    if (!msg || typeof msg !== 'object' || Array.isArray(msg)) {
+      log.warn('Message parse error: not a JSON object');
+      parseErrorsTotal.inc();
+      return send(ws, { 
+        type: 'error', 
+        error: { code: 'INVALID_JSON', message: 'Invalid JSON message' }
+      });
+    }
+    
+    try {
+      // Debug output is redacted and truncated; the audit log records calls
+      log.debug(`Received ${msg.type || msg.method || 'response'}${msg.id !== undefined ? ` ${msg.id}` : ''}`, msg);
+
+      // JSON-RPC connections are translated to the legacy envelope at the boundary
+      if (isJsonRpc(msg)) {
+        ws.jsonrpc = true;
+        const isNotification = msg.method && msg.id === undefined;
+        msg = fromJsonRpc(msg, agents.get(ws.instanceId)?.service || ws.clientId || 'client');
+        
+        // Notifications never get a reply, not even an error
+        if (isNotification && !handlerFor(msg.type)) return;
+        
+        if (!ws.session && !PRE_INITIALIZE_METHODS.has(msg.type) && msg.type !== 'response' && msg.type !== 'error') {
+          if (isNotification) return;
+          return send(ws, {
+            type: 'error',
+            id: msg.id,
+            error: { code: 'NOT_INITIALIZED', message: 'Send initialize before other requests' }
+          });
         }
       }
 
+      // Senders are who they authenticated as, whatever `from` claims
+      if (ws.identity && msg.type !== 'register') msg.from = ws.identity.id;
+      if (ws.peer) msg.from = ws.peer.id;
+      
+      if (draining && DRAINED_METHODS.has(msg.type)) {
+        return send(ws, { type: 'error', id: msg.id, error: shuttingDownError() });
+      }
+      
       // Route to appropriate handler
-      const handler = messageHandlers[msg.type];
+      const handler = handlerFor(msg.type);
       if (handler) {
-        handler(ws, msg);
+        // Async handlers fail by rejecting rather than throwing
+        Promise.resolve(handler(ws, msg)).catch(error => answerHandlerError(ws, msg, error));
       } else {
         // Legacy fallback for old message types
         if (msg.type === 'request' && msg.to) {
           const target = agents.get(msg.to);
           if (!target) {
-            ws.send(JSON.stringify({ type: 'error', id: msg.id, message: 'agent-not-found' }));
+            send(ws, { type: 'error', id: msg.id, message: 'agent-not-found' });
             return;
           }
-          target.ws.send(JSON.stringify(msg));
+          const callId = trackCall({ callerWs: ws, originalId: msg.id, instanceId: msg.to });
+          send(target.ws, { ...msg, id: callId });
           return;
         }
         
-        ws.send(JSON.stringify({ 
+        send(ws, { 
           type: 'error', 
           id: msg.id, 
           error: { code: 'UNKNOWN_MESSAGE', message: `Unknown message type: ${msg.type}` }
-        }));
+        });
       }
-    } catch (e) {
-      console.error('MCP: Message parse error:', e);
-      ws.send(JSON.stringify({ 
-        type: 'error', 
-        error: { code: 'INVALID_JSON', message: 'Invalid JSON message' }
-      }));
+    } catch (error) {
+      answerHandlerError(ws, msg, error);
     }
   });
 
   ws.on('close', () => {
-    if (ws.agentId) {
-      const agent = agents.get(ws.agentId);
-      if (agent) {
-        // Remove tools from registry
-        agent.tools.forEach(tool => {
-          toolRegistry.delete(tool.name);
-        });
-        agents.delete(ws.agentId);
-        console.log(`MCP: Agent ${ws.agentId} disconnected`);
-        console.log(`Remaining agents: ${Array.from(agents.keys())}`);
+    // Tearing down one connection must not take the hub down with it
+    try {
+      // A stale socket must not tear down an agent that has since re-registered
+      const ownsAgent = ws.instanceId && agents.get(ws.instanceId)?.ws === ws;
+      
+      resourceSubscriptions.forEach((subscription, uri) => unsubscribeResource(ws, uri));
+      
+      // Agents needn't finish work nobody is waiting for any more
+      pendingCalls.forEach((call, callId) => {
+        if (call.callerWs === ws) cancelForwardedCall(callId, call, 'Caller disconnected');
+      });
+      
+      if (ownsAgent) unregisterAgent(ws.instanceId, ws);
+    } catch (error) {
+      log.error(`Error cleaning up closed connection${ws.instanceId ? ` of ${ws.instanceId}` : ''}`, error);
+    }
+  });
+});
+
+// Dashboards only listen; they need the dashboard/read policy action
+dashboardWss.on('connection', (ws, req) => {
+  const { principal, error } = authenticateHttp(req);
+  if (error) {
+    log.warn(`Rejected dashboard connection: ${error.message}`);
+    return ws.close(UNAUTHENTICATED_CLOSE_CODE, error.code);
+  }
+  
+  const decision = authorize(policy, { principal, action: 'dashboard/read' });
+  if (!decision.allowed) {
+    log.warn(`Denied ${principal} dashboard/read: ${decision.reason}`);
+    return ws.close(FORBIDDEN_CLOSE_CODE, 'PERMISSION_DENIED');
+  }
+  
+  ws.on('error', (error) => log.warn(`Closing dashboard of ${principal}: ${error.message}`));
+  send(ws, { type: 'dashboard/state', params: dashboardState() });
+});
+
+// Call rates, agent statuses and elapsed times change without any event
+setInterval(pushDashboardState, DASHBOARD_REFRESH_INTERVAL);
+
+// Protocol-level heartbeats: ping every agent and evict those that stopped answering.
+// Terminating the socket runs the normal close handling, which unregisters its tools.
+setInterval(() => {
+  agents.forEach((agent, instanceId) => {
+    if (!agent.ws) return; // restored, not reconnected yet
+    if (agentStatus(agent) === 'offline') {
+      log.warn(`Evicting agent ${instanceId}, last seen ${Math.round((Date.now() - agent.lastSeen) / 1000)}s ago`);
+      agent.ws.terminate();
+      return;
+    }
+    agent.ws.ping();
+  });
+}, HEARTBEAT_INTERVAL);
+
+// Calls arriving over a federation link may only use tools shared with the
+// peer, and never one that has already passed through this hub
+function peerCallError(peer, toolName, hubPath = []) {
+  if (hubPath.includes(federation.hubId)) {
+    return { code: 'LOOP_DETECTED', message: `Call to ${toolName} has already passed through ${federation.hubId}` };
+  }
+  
+  const entry = resolveTool(toolName);
+  if (!entry || !isShared(peer, { name: entry.name, qualifiedName: qualifyToolName(entry.service, entry.name) })) {
+    return { code: 'PERMISSION_DENIED', message: `${toolName} is not shared with ${peer.id}` };
+  }
+  return null;
+}
+
+// Link handlers for a peer this hub dials: say hello, import the peer's shared
+// tools and re-import them whenever the peer's registry changes
+function peerLinkHandlers(peer) {
+  const instanceId = `peer:${peer.id}`;
+  
+  return {
+    onOpen(ws) {
+      ws.on('pong', () => touchAgent(ws));
+      send(ws, { type: 'peer/hello', id: 'peer-hello', from: federation.hubId, params: { hubId: federation.hubId } });
+    },
+    onMessage(ws, msg) {
+      touchAgent(ws);
+      
+      if (msg.id === 'peer-hello' && msg.type === 'error') {
+        log.error(`Peer ${peer.id} refused the link: ${msg.error?.message}`);
+        return ws.close();
       }
+      if (msg.id === 'peer-hello' || msg.type === 'capabilities_updated') {
+        return send(ws, { type: 'tools/list', id: 'peer-tools' });
+      }
+      if (msg.id === 'peer-tools') return importPeerTools(peer, ws, msg.result?.tools || []);
+      
+      // Replies and progress for calls forwarded over the link
+      if (msg.type === 'notifications/progress') return messageHandlers['notifications/progress'](ws, msg);
+      if (msg.type === 'response' || msg.type === 'error') return routeReply(ws, msg);
+    },
+    onClose(ws) {
+      if (agents.get(instanceId)?.ws === ws) unregisterAgent(instanceId, ws);
     }
+  };
+}
+
+// A peer's tools are registered as a pseudo-agent named after the peer, so
+// `library-hub/calculate` is forwarded over the link like any other call.
+// Tools that originated here, or that aren't imported from this peer, are skipped.
+function importPeerTools(peer, ws, tools) {
+  const instanceId = `peer:${peer.id}`;
+  const imported = tools
+    .filter(tool => !tool.hubPath?.includes(federation.hubId) && isImported(peer, tool))
+    .map(({ qualifiedName, provider, instances, status, ...tool }) => ({
+      ...tool,
+      origin: tool.origin || peer.id,
+      hubPath: [peer.id, ...(tool.hubPath || [])]
+    }));
+  
+  // Hubs tell each other about every registry change; unchanged imports stop the echo
+  const previous = agents.get(instanceId);
+  if (previous?.ws === ws && JSON.stringify(previous.tools) === JSON.stringify(imported)) return;
+  if (previous) unregisterTools(instanceId);
+  
+  const agentInfo = {
+    ws,
+    service: peer.id,
+    tools: imported,
+    resources: [],
+    resourceTemplates: [],
+    prompts: [],
+    registeredAt: previous?.registeredAt ?? Date.now(),
+    lastSeen: Date.now(),
+    peer: true
+  };
+  agents.set(instanceId, agentInfo);
+  ws.instanceId = instanceId;
+  registerTools(instanceId, agentInfo);
+  if (previous?.ws !== ws) emitDashboardEvent('agent-connected', { instanceId, agent: peer.id });
+  
+  log.info(`Imported ${imported.length} tools from peer ${peer.id}${imported.length > 0 ? `: ${imported.map(tool => tool.name).join(', ')}` : ''}`);
+  broadcastCapabilities();
+  resumeWorkflows();
+  scheduleSnapshot();
+}
+
+// Stop taking new work, give pending calls time to finish, then save state and
+// close every connection. Calls still pending at the deadline fail with
+// SHUTTING_DOWN; workflow steps among them re-run after the restart.
+async function drain(reason) {
+  draining = true;
+  log.info(`🛑 ${reason}: draining ${pendingCalls.size} pending calls for up to ${SHUTDOWN_DRAIN_TIMEOUT}ms`);
+  wss.clients.forEach(ws => send(ws, shutdownNotice(reason)));
+  pushDashboardState();
+  
+  const deadline = Date.now() + SHUTDOWN_DRAIN_TIMEOUT;
+  while (pendingCalls.size > 0 && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  
+  if (pendingCalls.size > 0) {
+    log.warn(`Giving up on ${pendingCalls.size} calls still pending after ${SHUTDOWN_DRAIN_TIMEOUT}ms`);
+    pendingCalls.forEach((call, callId) => {
+      if (!call.workflowId) {
+        deliverReply(call, {
+          type: 'error',
+          id: callId,
+          error: { code: 'SHUTTING_DOWN', message: 'Server shut down before the call finished' }
+        });
+      }
+      cancelForwardedCall(callId, call, 'Server shutting down');
+    });
+  }
+  
+  await saveState();
+  [...wss.clients, ...dashboardWss.clients].forEach(ws => ws.close(GOING_AWAY_CLOSE_CODE, 'SHUTTING_DOWN'));
+  server.close(() => process.exit(0));
+  server.closeIdleConnections();
+  // Connections that don't finish closing don't hold up the exit
+  setTimeout(() => process.exit(0), 1000).unref();
+}
+
+// Drain when stopped with Ctrl+C or by a process manager; a second signal stops at once
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, async () => {
+    if (!draining) return drain(signal);
+    
+    log.warn(`🛑 ${signal} while draining, stopping now`);
+    await saveState();
+    process.exit(0);
   });
-});const PORT = process.env.PORT || 8080;
+});
+
+await restoreState();
+
+// Dial the peers this hub imports tools from
+federation?.peers.forEach(peer => {
+  if (peer.url) openPeerLink(peer, federation.hubId, peerLinkHandlers(peer));
+});
+
+const PORT = process.env.PORT || 8080;
 server.listen(PORT, () => {
-  console.log(`MCP demo server listening on http://localhost:${PORT}`);
+  log.info(`MCP demo server listening on http://localhost:${PORT}`);
 });